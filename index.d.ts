@@ -39,7 +39,54 @@ interface FocusObject {
      * values to determine whether the failure was because the ref could not be
      * found in the RefManager instance, or in the DOM.
      */
-    applied: boolean
+    applied: boolean,
+    /**
+     * The full path of the ref (the collectionId, the ids of its ancestors and its
+     * own id), when it is a node in a tree.
+     */
+    path?: Array<string | number>,
+    /**
+     * The row of the ref, when it is a cell in a grid. For cells that span several
+     * rows, this is the first of them.
+     */
+    row?: number,
+    /**
+     * The column of the ref, when it is a cell in a grid. For cells that span
+     * several columns, this is the first of them.
+     */
+    col?: number,
+    /**
+     * When an item of a virtual collection that is not mounted is focused, a promise
+     * that resolves with the focus object once the item has been rendered and focused.
+     */
+    pending?: Promise<FocusObject>,
+    /**
+     * When applied is false, the reason the ref could not be focused.
+     */
+    reason?: RefManager.FocusFailureReason
+}
+
+/**
+ * Options accepted by scrollToById() and scrollToFocused(). When container, offset or
+ * ifNeeded are used, the scroll container is scrolled directly. Otherwise, the options
+ * are passed straight to scrollIntoView.
+ */
+interface ScrollOptions extends ScrollIntoViewOptions {
+    /**
+     * The element to scroll. Defaults to the ref's nearest scrollable ancestor, or
+     * the document.
+     */
+    container?: Element | React.Component,
+    /**
+     * The number of pixels at the top and bottom of the container that the ref
+     * should not be scrolled under, such as the height of sticky headers.
+     */
+    offset?: { top?: number, bottom?: number },
+    /**
+     * Whether to only scroll when the ref is not completely visible. Defaults to true
+     * when container or offset are used.
+     */
+    ifNeeded?: boolean
 }
 
 /**
@@ -75,6 +122,89 @@ interface ScrollObject {
     applied: boolean
 }
 
+/**
+ * A snapshot of the focus that does not contain any refs, so that it can be stored
+ */
+interface FocusSnapshot {
+    collectionId: string | number,
+    id?: string | number,
+    context?: any
+}
+
+/**
+ * Stores focus snapshots for saveFocus() and restoreSavedFocus()
+ */
+interface FocusStorage {
+    load(key: string): FocusSnapshot | null;
+    save(key: string, snapshot: FocusSnapshot | null): void;
+    remove(key: string): void;
+}
+
+/**
+ * A ref to an element or component, or a ref object created with React.createRef()
+ * or useRef() that contains one
+ */
+type ManagedRef = React.Component | Element | React.RefObject<any>;
+
+/**
+ * Adapter used to find, focus and scroll to the elements (or native views) that
+ * refs point to. Its methods are passed refs that have already been resolved from
+ * ref objects.
+ */
+interface RefManagerAdapter {
+    getNode(ref: any): any | null;
+    isAttached(node: any): boolean;
+    focus(ref: any): any | null;
+    scrollIntoView(ref: any, options?: {} | boolean): any | null;
+    getActiveElement(node?: any): any | null;
+    getParent(node: any): any | null;
+    getRect(node: any): { top: number, left: number, bottom: number, right: number, width: number, height: number };
+    getText(node: any): string;
+    setAttribute(node: any, name: string, value: string): void;
+    removeAttribute(node: any, name: string): void;
+    getId(node: any): string;
+    setId(node: any, id: string): void;
+    setTabIndex(node: any, tabIndex: number): void;
+    addClass(node: any, className: string): void;
+    removeClass(node: any, className: string): void;
+    compareDocumentPosition(node: any, otherNode: any): number;
+    requestFrame(callback: () => void): void;
+    isFocusable(node: any): boolean;
+    isRTL(node: any): boolean;
+    getScrollContainer(node: any): any | null;
+    scrollIntoContainer(node: any, container: any | null, options?: { offset?: { top?: number, bottom?: number }, ifNeeded?: boolean, behavior?: 'auto' | 'smooth' }): boolean;
+}
+
+/**
+ * Options accepted by the RefManager constructor
+ */
+interface RefManagerOptions {
+    focusHistoryLimit?: number,
+    isFocusable?: (ref: React.Component, itemId?: string | number) => boolean,
+    /**
+     * The name of the instance, used as the key to save its focus under in storage
+     */
+    name?: string,
+    storage?: FocusStorage,
+    /**
+     * The RefManager instance this instance is a child of. Throws when the parent
+     * already has a child with the same name.
+     */
+    parent?: RefManager.default,
+    /**
+     * The adapter used to find, focus and scroll to the elements that refs point
+     * to. Defaults to ReactDOMAdapter, or the adapter of the parent.
+     */
+    adapter?: RefManagerAdapter
+}
+
+/**
+ * The order to iterate over a collection's items in: 'insertion' (the order they
+ * were stored using set()), 'dom' (the order their elements appear in the document)
+ * or a comparator function.
+ */
+type CollectionOrder = 'insertion' | 'dom' | ((item: { id: string | number, ref: React.Component }, otherItem: { id: string | number, ref: React.Component }) => number);
+
 module RefManager {
     /**
      * Constants used to indicate directions that a ref collection can be iterated
@@ -84,7 +214,32 @@ module RefManager {
         LEFT = 'LEFT',
         RIGHT = 'RIGHT',
         UP = 'UP',
-        DOWN = 'DOWN'
+        DOWN = 'DOWN',
+        FIRST = 'FIRST',
+        LAST = 'LAST',
+        ROW_START = 'ROW_START',
+        ROW_END = 'ROW_END'
+    }
+
+    /**
+     * Constants used to indicate why a ref could not be focused.
+     */
+    export enum FocusFailureReason {
+        NOT_REGISTERED = 'NOT_REGISTERED',
+        NOT_IN_DOM = 'NOT_IN_DOM',
+        OUT_OF_SCOPE = 'OUT_OF_SCOPE',
+        VETOED = 'VETOED'
+    }
+
+    /**
+     * Constants used to indicate the types of events that can be listened to using
+     * addEventListener().
+     */
+    export enum RefManagerEvent {
+        REGISTER = 'register',
+        UNREGISTER = 'unregister',
+        FOCUS_FAIL = 'focusfail',
+        SCROLL = 'scroll'
     }
 
     /**
@@ -95,35 +250,147 @@ module RefManager {
         /**
          * Creates a new RefManager instance
          */
-        constructor();
+        constructor(options?: RefManagerOptions);
+
+        /**
+         * Creates a RefManager instance that is a child of this one. Only one instance in
+         * a hierarchy holds focus at a time, and the refs of children can be addressed by
+         * prefixing the collectionId with their name, like 'sidebar/items'.
+         */
+        createChild(name: string, options?: RefManagerOptions): RefManager;
+
+        /**
+         * Returns a child instance by its name.
+         */
+        getChild(name: string): RefManager | undefined;
+
+        /**
+         * Returns the child instance that holds focus, or null when focus is held by this
+         * instance or not held at all.
+         */
+        getFocusedChild(): RefManager | null;
 
         /**
          * Returns whether a ref is mounted in the DOM and the element that is currently
          * focused
          */
-        static refIsFocused(ref: React.Component): boolean;
+        static refIsFocused(ref: ManagedRef, adapter?: RefManagerAdapter): boolean;
 
         /**
          * Focuses a ref in the DOM if it is mounted. This method does NOT update any
          * RefManager instance's focus object.
          */
-        static focus(ref: React.Component): React.Component | null;
+        static focus(ref: ManagedRef, adapter?: RefManagerAdapter): React.Component | null;
 
         /**
          * Scrolls to a ref in the browser if it can be found in the DOM.
          */
-        static scrollTo(ref: React.Component, options?: {} | boolean): React.Component | null;
+        static scrollTo(ref: ManagedRef, options?: {} | boolean, adapter?: RefManagerAdapter): React.Component | null;
 
         /**
          * Stores a ref for later use. This method should generally be called in
-         * React's render method, using React Component's ref attribute.
+         * React's render method, using React Component's ref attribute. When the
+         * ref is null (as it is when React unmounts an element), it is unregistered.
+         */
+        set(collectionId: string | number, itemIdOrRef: string | number | ManagedRef | null, ref?: ManagedRef | null, options?: { label?: string });
+
+        /**
+         * Stores a node of a tree, using the tree's id, the ids of the node's ancestors
+         * and the node's own id as its path.
+         */
+        set(path: Array<string | number>, ref: ManagedRef | null, options?: { label?: string, expanded?: boolean });
+
+        /**
+         * Configures how a collection of refs is treated by the RefManager instance.
+         */
+        registerCollection(collectionId: string | number, options?: { order?: CollectionOrder, onFocusedItemRemoved?: 'next' | 'previous' | 'nearest' | 'container' | ((removedId: string | number, neighbours: { nextId?: string | number, previousId?: string | number, orderedIds: Array<string | number> }) => string | number | void), container?: Element | React.Component | string | number, onExpandedChange?: (itemId: string | number, expanded: boolean) => void });
+
+        /**
+         * Registers a collection whose items are rendered by a virtualized list and are
+         * stored using their index as their item id. Items that are not mounted are
+         * rendered using scrollToIndex before they are focused.
+         */
+        registerVirtualCollection(collectionId: string | number, options: { itemCount: number, scrollToIndex: (index: number) => void, order?: CollectionOrder });
+
+        /**
+         * Returns the ids of the items in a collection, in the order that focusNext()
+         * iterates over them.
+         */
+        getOrderedIds(collectionId: string | number, order?: CollectionOrder): Array<string | number>;
+
+        /**
+         * Returns the path of an item in a collection: the collectionId, followed by the
+         * ids of the item's ancestors (when the collection is a tree) and the item's id.
+         */
+        getPath(collectionId: string | number, itemId: string | number): Array<string | number>;
+
+        /**
+         * Returns whether the children of a node in a tree are visible.
+         */
+        isExpanded(collectionId: string | number, itemId: string | number): boolean;
+
+        /**
+         * Expands a node in a tree, and returns whether it was collapsed before.
+         */
+        expand(collectionId: string | number, itemId: string | number): boolean;
+
+        /**
+         * Collapses a node in a tree, and returns whether it was expanded before.
+         */
+        collapse(collectionId: string | number, itemId: string | number): boolean;
+
+        /**
+         * Stores a ref that is a cell in a grid, using its row and column. Cells are
+         * stored in the grid's collection with an id of 'row:col'. When the ref is null,
+         * the cell is unregistered.
+         */
+        setCell(gridId: string | number, row: number, col: number, ref: ManagedRef | null, options?: { rowSpan?: number, colSpan?: number, label?: string });
+
+        /**
+         * Manages the tabindex attributes of a collection's elements, so that the
+         * collection is a single tab stop (a roving tabindex).
+         */
+        enableRovingTabIndex(collectionId: string | number, options?: { initialId?: string | number });
+
+        /**
+         * Stops managing the tabindex attributes of a collection's elements.
          */
-        set(collectionId: string | number, itemIdOrRef: string | number | React.Component, ref?: React.Component);
+        disableRovingTabIndex(collectionId: string | number);
+
+        /**
+         * Enables virtual focus for a collection: focusing its items sets the
+         * aria-activedescendant attribute of an owner element instead of moving
+         * DOM focus.
+         */
+        enableVirtualFocus(collectionId: string | number, options: { owner: Element | React.Component | string | number, activeClassName?: string, container?: Element });
+
+        /**
+         * Disables virtual focus for a collection.
+         */
+        disableVirtualFocus(collectionId: string | number);
+
+        /**
+         * Unregisters a ref previously stored using set(). When itemId is not
+         * provided, the singular ref or the entire collection is removed.
+         */
+        remove(collectionId: string | number, itemId?: string | number): boolean;
+
+        /**
+         * Unregisters all of the refs in a collection, or all of the refs stored in the
+         * RefManager instance, when a collectionId is not provided.
+         */
+        clear(collectionId?: string | number);
+
+        /**
+         * Unregisters every ref that is no longer mounted in the DOM, and returns the
+         * number of refs that were removed.
+         */
+        prune(): number;
 
         /**
          * Retrieves a ref previously stored using set()
          */
-        get(collectionId: string | number, itemId?: string | number): React.Component;
+        get(collectionIdOrPath: string | number | Array<string | number>, itemId?: string | number): React.Component;
 
         /**
          * Sets the current focus object without actually focusing the ref in the DOM.
@@ -135,6 +402,16 @@ module RefManager {
          */
         setCurrentFocus(FocusObject): FocusObject;
 
+        /**
+         * Keeps the current focus object in sync with the browser's focus. When an element
+         * inside rootElement (document by default) receives focus, the ref it belongs to is
+         * recorded as focused and focus change listeners are called. When focus moves to an
+         * element that is not stored, a focus object with a null ref is recorded.
+         *
+         * Returns a function that stops tracking the browser's focus.
+         */
+        trackNativeFocus(rootElement?: Element | Document): () => void;
+
         /**
          * Returns the current focus object. The focus object is updated every time one
          * of the focus* methods is used, or setCurrentFocus().
@@ -153,18 +430,96 @@ module RefManager {
          * Focuses a ref in the DOM and records it as currently focused in the RefManager
          * instance.
          */
-        focus(ref: React.Component, options: { id?: string | number, collectionId: string | number, context?: any }): FocusObject;
+        focus(ref: ManagedRef, options: { id?: string | number, collectionId: string | number, context?: any }): FocusObject;
 
         /**
          * Focuses a ref in the browser identified by an id and (optionally) a collectionId,
          * and updates the currently focused ref in the RefManager instance.
          */
-        focusById(collectionId: string | number , itemIdOrOptions?: string | number | { context?: any }, options?: { context?: any }): FocusObject;
+        focusById(collectionIdOrPath: string | number | Array<string | number>, itemIdOrOptions?: string | number | { context?: any }, options?: { context?: any }): FocusObject;
+
+        /**
+         * Focuses a ref as soon as it has been stored using set() and is mounted in the
+         * DOM. Only one request is queued at a time, and it is cancelled by later requests
+         * or focus* calls. The promise resolves with a focus object with an applied value
+         * of false when the request times out or is cancelled.
+         */
+        focusByIdWhenAvailable(collectionId: string | number, itemIdOrOptions?: string | number | { timeout?: number, context?: any }, options?: { timeout?: number, context?: any }): Promise<FocusObject>;
+
+        /**
+         * Focuses the ref that was focused before the current one, skipping any refs
+         * that are no longer mounted in the DOM.
+         */
+        focusPrevious(options?: { context?: any }): FocusObject;
+
+        /**
+         * Focuses the ref that was focused n focus changes ago, skipping any refs that
+         * are no longer mounted in the DOM.
+         */
+        focusBack(steps?: number, options?: { context?: any }): FocusObject;
+
+        /**
+         * Returns the focus objects of the refs that were previously focused, ordered
+         * from the oldest to the most recent.
+         */
+        getFocusHistory(): Array<FocusObject>;
+
+        /**
+         * Removes all entries from the focus history
+         */
+        clearFocusHistory();
+
+        /**
+         * Returns a snapshot of the current focus that can be stored and later passed
+         * to restoreFocus(), or null when nothing has been focused.
+         */
+        serializeFocus(): FocusSnapshot | null;
+
+        /**
+         * Focuses the ref described by a snapshot returned by serializeFocus(), optionally
+         * waiting for it to be stored using set().
+         */
+        restoreFocus(snapshot: FocusSnapshot | null, options?: { waitForRef?: boolean, timeout?: number }): Promise<FocusObject>;
+
+        /**
+         * Saves a snapshot of the current focus in the storage adapter the instance was
+         * created with, under the instance's name.
+         */
+        saveFocus(): FocusSnapshot | null;
+
+        /**
+         * Restores the focus snapshot that was last saved using saveFocus().
+         */
+        restoreSavedFocus(options?: { waitForRef?: boolean, timeout?: number }): Promise<FocusObject>;
+
+        /**
+         * Restricts focus to the refs in a list of collections (a focus trap), until
+         * the scope is removed again using popFocusScope().
+         */
+        pushFocusScope(options?: { collections?: Array<string | number>, initialFocus?: { collectionId: string | number, id?: string | number, context?: any }, restoreFocus?: boolean, container?: EventTarget | null }): FocusObject;
+
+        /**
+         * Removes the focus scope that was most recently added using pushFocusScope(),
+         * and focuses the ref that was focused when the scope was pushed.
+         */
+        popFocusScope(): FocusObject;
+
+        /**
+         * Links an edge of a collection to another collection, so that moving focus past
+         * that edge continues in the linked collection, rather than stopping or wrapping.
+         */
+        linkCollections(collectionId: string | number, direction: FocusDirection, linkedCollectionId: string | number, options?: { entry?: 'first' | 'last' | 'nearestColumn' | 'remembered' });
+
+        /**
+         * Removes a link created with linkCollections(), or all of a collection's links
+         * when no direction is given.
+         */
+        unlinkCollections(collectionId: string | number, direction?: FocusDirection);
 
         /**
          * Focuses the next ref in a collection pointed to by the provided collectionId.
          */
-        focusNextById(collectionId: string | number , options?: { direction?: FocusDirection, indexes?: Array<string | number>, collectionWidth?: number, yWrap?: boolean, xWrap?: boolean , context?: any }): FocusObject;
+        focusNextById(collectionId: string | number , options?: { direction?: FocusDirection, indexes?: Array<string | number>, order?: CollectionOrder, collectionWidth?: number, yWrap?: boolean, xWrap?: boolean, isFocusable?: (ref: React.Component, itemId?: string | number) => boolean , context?: any }): FocusObject;
 
         /**
          * Focuses the next item in a collection of refs. If no item in a collection of refs
@@ -172,7 +527,37 @@ module RefManager {
          * collection is already focused, the behaviour depends on the options.yWrap and
          * options.xWrap
          */
-        focusNext(collectionId: { [key: string]: React.Component }, options?: { direction?: FocusDirection, indexes?: Array<string | number>, collectionWidth?: number, yWrap?: boolean, xWrap?: boolean, context?: any }): FocusObject;
+        focusNext(collectionId: { [key: string]: ManagedRef }, options?: { direction?: FocusDirection, indexes?: Array<string | number>, order?: CollectionOrder, collectionWidth?: number, yWrap?: boolean, xWrap?: boolean, isFocusable?: (ref: React.Component, itemId?: string | number) => boolean, context?: any }): FocusObject;
+
+        /**
+         * Focuses the nth focusable item in a collection, in the order that focusNext()
+         * iterates over it. Negative positions count back from the end of the collection.
+         */
+        focusNthById(collectionId: string | number, position: number, options?: { offset?: number, order?: CollectionOrder, isFocusable?: (ref: React.Component, itemId?: string | number) => boolean, context?: any }): FocusObject;
+
+        /**
+         * Focuses the cell of a grid that covers a row and column.
+         */
+        focusCell(gridId: string | number, row: number, col: number, options?: { context?: any }): FocusObject;
+
+        /**
+         * Focuses the ref nearest to the currently focused one, in a particular
+         * direction on the screen, using the refs' bounding rectangles.
+         */
+        focusInDirection(direction: FocusDirection, options?: { scope?: Array<string | number>, context?: any }): FocusObject;
+
+        /**
+         * Focuses the next item in a collection whose label starts with the text that
+         * has been typed (incremental search).
+         */
+        focusByTypeahead(collectionId: string | number, character: string, options?: { getLabel?: (ref: React.Component, itemId: string | number) => string, timeout?: number }): FocusObject;
+
+        /**
+         * Attaches a keydown listener to an element that moves focus through a
+         * collection when the arrow, Home, End, PageUp and PageDown keys are pressed.
+         * Returns a function that removes the listener again.
+         */
+        bindKeyboardNavigation(element: EventTarget, collectionId: string | number, options?: { orientation?: 'vertical' | 'horizontal' | 'grid', keymap?: { [key: string]: FocusDirection | ((event: KeyboardEvent) => FocusObject) | null }, pageSize?: number, collectionWidth?: number, yWrap?: boolean, xWrap?: boolean, order?: CollectionOrder, isFocusable?: (ref: React.Component, itemId?: string | number) => boolean, context?: any }): () => void;
 
         /**
          * Scrolls to a ref by an id and (optionally) collectionId that was used when
@@ -180,20 +565,26 @@ module RefManager {
          *
          * When the ref is a custom React component that doesn't define a scrollIntoView method,
          * it's backing DOM element ref will be located, and that will be used to scroll to.
+         *
+         * Returns a promise that resolves with the scroll object once scrolling has settled.
          */
-        scrollToById(collectionId: string | number , itemIdOrOptions: any, options?: any): ScrollObject;
+        scrollToById(collectionId: string | number , itemIdOrOptions?: string | number | ScrollOptions | boolean, options?: ScrollOptions | boolean): Promise<ScrollObject>;
 
         /**
          * Scrolls to the ref that was last focused, if there is one.
+         *
+         * Returns a promise that resolves with the scroll object once scrolling has settled.
          */
-        scrollToFocused(options?: any): ScrollObject;
+        scrollToFocused(options?: ScrollOptions | boolean): Promise<ScrollObject>;
 
         /**
          * Adds a listener function to be called every time the current focus is changed
          * through the RefManager instance.
          *
          * The function is called with the previous focus object and the current
-         * focus object as its first and second arguments.
+         * focus object as its first and second arguments. It is also called when the
+         * focus of one of the instance's children changes, with the child as the third
+         * argument.
          */
         addFocusChangeListener(listener: Function): Function
 
@@ -202,5 +593,142 @@ module RefManager {
          * with addFocusChangeListener().
          */
         removeFocusChangeListener(listener: Function)
+
+        /**
+         * Adds a listener function to be called before a ref is focused, with the current
+         * focus object and the ref that is about to be focused. Returning false vetoes the
+         * focus change, and returning an object with a collectionId and id redirects it
+         * to another ref.
+         */
+        addBeforeFocusChangeListener(listener: (currentFocus: FocusObject, nextFocus: { ref: React.Component, id?: string | number, collectionId: string | number, context?: any }) => boolean | { collectionId?: string | number, id?: string | number, context?: any } | void): Function;
+
+        /**
+         * Removes a listener that has been previously registered with
+         * addBeforeFocusChangeListener().
+         */
+        removeBeforeFocusChangeListener(listener: Function);
+
+        /**
+         * Adds a listener function to be called every time an event of a particular type
+         * occurs in the RefManager instance or any of its children.
+         */
+        addEventListener(type: RefManagerEvent, listener: (event: any, manager: RefManager) => void): Function;
+
+        /**
+         * Removes a listener that has been previously registered with addEventListener().
+         */
+        removeEventListener(type: RefManagerEvent, listener: Function);
+
+        /**
+         * Selects a single item in a collection, replacing any existing selection.
+         */
+        select(collectionId: string | number, itemId: string | number): Array<string | number>;
+
+        /**
+         * Adds an item to the selection of a collection, or removes it if it is
+         * already selected.
+         */
+        toggleSelect(collectionId: string | number, itemId: string | number): Array<string | number>;
+
+        /**
+         * Selects all of the items between (and including) two items in a collection,
+         * replacing any existing selection.
+         */
+        selectRange(collectionId: string | number, anchorId: string | number, toId: string | number, options?: { indexes?: Array<string | number>, order?: CollectionOrder }): Array<string | number>;
+
+        /**
+         * Moves focus to the next item in a collection and selects the range of items
+         * between the selection anchor and the newly focused item.
+         */
+        extendSelection(collectionId: string | number, direction: FocusDirection, options?: { indexes?: Array<string | number>, order?: CollectionOrder, collectionWidth?: number, yWrap?: boolean, xWrap?: boolean, isFocusable?: (ref: React.Component, itemId?: string | number) => boolean, context?: any }): FocusObject;
+
+        /**
+         * Selects all of the items in a collection
+         */
+        selectAll(collectionId: string | number, options?: { indexes?: Array<string | number>, order?: CollectionOrder }): Array<string | number>;
+
+        /**
+         * Removes all items from the selection of a collection
+         */
+        clearSelection(collectionId: string | number): Array<string | number>;
+
+        /**
+         * Returns the ids of the selected items in a collection
+         */
+        getSelection(collectionId: string | number): Array<string | number>;
+
+        /**
+         * Returns the id of the item that range selections in a collection start from
+         */
+        getSelectionAnchor(collectionId: string | number): string | number | undefined;
+
+        /**
+         * Returns whether an item in a collection is selected
+         */
+        isSelected(collectionId: string | number, itemId: string | number): boolean;
+
+        /**
+         * Adds a listener function to be called every time the selection of a
+         * collection changes.
+         */
+        addSelectionChangeListener(listener: (collectionId: string | number, previousSelection: Array<string | number>, selection: Array<string | number>) => void): Function;
+
+        /**
+         * Removes a selection change listener that has been previously registered
+         * with addSelectionChangeListener().
+         */
+        removeSelectionChangeListener(listener: Function);
     }
+
+    /**
+     * React context used to share a single RefManager instance with all of the
+     * components below a RefManagerProvider
+     */
+    export const RefManagerContext: React.Context<RefManager | null>;
+
+    /**
+     * Component that shares a single RefManager instance with all of the components
+     * rendered below it
+     */
+    export function RefManagerProvider(props: { manager?: RefManager, options?: RefManagerOptions, children?: React.ReactNode }): React.ReactElement<any>;
+
+    /**
+     * Returns the RefManager instance shared by the nearest RefManagerProvider
+     */
+    export function useRefManager(): RefManager;
+
+    /**
+     * Returns a ref callback that stores the ref in the shared RefManager instance
+     * when the element is mounted, and unregisters it when it is unmounted.
+     */
+    export function useManagedRef(collectionId: string | number, itemId?: string | number): (ref: any) => void;
+
+    /**
+     * Returns the current focus object of the shared RefManager instance, and
+     * re-renders the component every time it changes.
+     */
+    export function useCurrentFocus(): FocusObject;
+
+    /**
+     * Creates a storage adapter that keeps focus snapshots in memory.
+     */
+    export function createMemoryStorage(): FocusStorage;
+
+    /**
+     * Creates a storage adapter that keeps focus snapshots in the browser's
+     * sessionStorage.
+     */
+    export function createSessionStorage(): FocusStorage;
+
+    /**
+     * Adapter for refs that are always elements in the DOM, or ref objects that
+     * contain them. It does not use ReactDOM.findDOMNode().
+     */
+    export const DOMAdapter: RefManagerAdapter;
+
+    /**
+     * The default adapter, which also finds the backing elements of custom React
+     * components using ReactDOM.findDOMNode().
+     */
+    export const ReactDOMAdapter: RefManagerAdapter;
 }
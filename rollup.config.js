@@ -12,7 +12,7 @@ export default {
     file: process.env.NODE_ENV === 'production' ? 'cjs/react-ref-manager.production.min.js' : 'cjs/react-ref-manager.development.js',
     exports: 'named'
   },
-  external: [ 'react-dom' ],
+  external: [ 'react', 'react-dom' ],
   plugins: [
     babel({
       exclude: 'node_modules/**'
@@ -1,12 +1,18 @@
 /**
- * @typedef {{LEFT: string, RIGHT: string, UP: string, DOWN: string}} FocusDirection Constants used to indicate directions that a
- * ref collection can be iterated over.
+ * @typedef {{LEFT: string, RIGHT: string, UP: string, DOWN: string, FIRST: string, LAST: string, ROW_START: string, ROW_END: string}} FocusDirection
+ * Constants used to indicate directions that a ref collection can be iterated
+ * over. FIRST, LAST, ROW_START and ROW_END jump to the start or end of the
+ * collection, or of the current row.
  */
 const FocusDirection = {
   LEFT: 'LEFT',
   RIGHT: 'RIGHT',
   UP: 'UP',
   DOWN: 'DOWN',
+  FIRST: 'FIRST',
+  LAST: 'LAST',
+  ROW_START: 'ROW_START',
+  ROW_END: 'ROW_END',
 };
 
 export default FocusDirection;
@@ -0,0 +1,14 @@
+/**
+ * @typedef {{NOT_REGISTERED: string, NOT_IN_DOM: string, OUT_OF_SCOPE: string, VETOED: string}} FocusFailureReason
+ * Constants used to indicate why a ref could not be focused: it has not been
+ * stored using set(), it is not mounted in the DOM, it is outside of the active
+ * focus scope, or the focus change was vetoed by a before focus change listener.
+ */
+const FocusFailureReason = {
+  NOT_REGISTERED: 'NOT_REGISTERED',
+  NOT_IN_DOM: 'NOT_IN_DOM',
+  OUT_OF_SCOPE: 'OUT_OF_SCOPE',
+  VETOED: 'VETOED'
+};
+
+export default FocusFailureReason;
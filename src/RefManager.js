@@ -1,6 +1,18 @@
-import ReactDOM from 'react-dom';
 import NotProvided from './utils/NotProvided';
 import FocusDirection from './FocusDirection';
+import FocusFailureReason from './FocusFailureReason';
+import RefManagerEvent from './RefManagerEvent';
+import getNextIndex from './utils/getNextIndex';
+import isAtListEdge from './utils/isAtListEdge';
+import resolveRef from './utils/resolveRef';
+import getNearestInDirection from './utils/getNearestInDirection';
+import getOrderedIds from './utils/getOrderedIds';
+import waitForScrollEnd from './utils/waitForScrollEnd';
+import callListeners from './utils/callListeners';
+import generateElementId from './utils/generateElementId';
+import ReactDOMAdapter from './adapters/ReactDOMAdapter';
+import getVisibleTreeIds from './utils/getVisibleTreeIds';
+import getNextGridCell from './utils/getNextGridCell';
 
 /**
  * @typedef {Object} ReactClassComponent
@@ -25,6 +37,17 @@ import FocusDirection from './FocusDirection';
  * @property {Boolean} applied True if the focus attempt was successful. If false,
  *          see the ref and DOMRef values to determine whether the failure was
  *          because the ref could not be found in the RefManager instance, or in the DOM.
+ * @property {Array.<String|Number>} path The full path of the ref (the collectionId,
+ *          the ids of its ancestors and its own id), when it is a node in a tree.
+ * @property {Number} row The row of the ref, when it is a cell in a grid (see
+ *          setCell()). For cells that span several rows, this is the first of them.
+ * @property {Number} col The column of the ref, when it is a cell in a grid. For
+ *          cells that span several columns, this is the first of them.
+ * @property {FocusFailureReason} reason When applied is false, the reason the ref
+ *          could not be focused.
+ * @property {Promise.<FocusObject>} pending When an item of a virtual collection that
+ *          is not mounted is focused, a promise that resolves with the focus object
+ *          once the item has been rendered and focused.
  */
 
 /**
@@ -54,19 +77,27 @@ class RefManager {
   /**
    * Returns whether a ref is mounted in the DOM and the element that is currently
    * focused
-   * @param {ReactClassComponent} ref Ref that points to the element that should be
-   *        tested to see whether it's mounted in the DOM and focused.
+   * @param {ReactClassComponent|{current: ReactClassComponent}} ref Ref that points
+   *        to the element that should be tested to see whether it's mounted in the
+   *        DOM and focused.
+   * @param {Object.<String,Function>} adapter The adapter used to find the ref's
+   *        element. Defaults to ReactDOMAdapter.
    * @returns {boolean} Whether the ref points to an element that is currently focused
    */
-  static refIsFocused(ref) {
-    return ref && ref === document.activeElement && !!ref.parentNode;
+  static refIsFocused(ref, adapter = ReactDOMAdapter) {
+    const target = resolveRef(ref);
+    const DOMRef = target ? adapter.getNode(target) : null;
+
+    return !!DOMRef && adapter.isAttached(DOMRef) && DOMRef === adapter.getActiveElement(DOMRef);
   }
 
   /**
    * Focuses a ref in the DOM if it is mounted. This method does NOT update any
    * RefManager instance's focus object.
    *
-   * @param {ReactClassComponent} ref Ref to focus
+   * @param {ReactClassComponent|{current: ReactClassComponent}} ref Ref to focus
+   * @param {Object.<String,Function>} adapter The adapter used to focus the ref.
+   *        Defaults to ReactDOMAdapter.
    * @returns {ReactClassComponent|null} The ref pointing to the actual element in
    *          the DOM that was focused. For standard React elements (<div>, <span>,
    *          <input> etc), this is the same as the ref passed as the first argument.
@@ -74,67 +105,207 @@ class RefManager {
    *          the ref to the backing elements in the DOM. Alternatively, it returns
    *          null when the ref was undefined or was not found in the DOM.
    */
-  static focus(ref) {
-    if (ref) {
-      if (ref.focus) {
-        ref.focus();
-
-        return ref;
-      } else {
-        const DOMRef = ReactDOM.findDOMNode(ref);
+  static focus(ref, adapter = ReactDOMAdapter) {
+    const target = resolveRef(ref);
 
-        if (DOMRef && !!DOMRef.parentNode) {
-          DOMRef.focus();
-
-          return DOMRef;
-        } else {
-          return null;
-        }
-      }
-    } else {
-      return null;
-    }
+    return target ? adapter.focus(target) : null;
   }
 
   /**
    * Scrolls to a ref in the browser if it can be found in the DOM.
    *
-   * @param {ReactClassComponent} ref Ref to scroll to
+   * @param {ReactClassComponent|{current: ReactClassComponent}} ref Ref to scroll to
    * @param {Object|boolean} options Options passed straight to scrollIntoView.
+   * @param {Object.<String,Function>} adapter The adapter used to scroll to the ref.
+   *        Defaults to ReactDOMAdapter.
    * @returns {ReactClassComponent|null} Ref that was scrolled to (which may be
    *          different to the ref passed as an argument in the case of custom
    *          React elements), or null if the ref could not be located in the DOM.
    *
    * @see {@link https://developer.mozilla.org/en-US/docs/Web/API/Element/scrollIntoView}
    */
-  static scrollTo(ref, options = NotProvided) {
-    if (ref) {
-      if (ref.scrollIntoView) {
-        ref.scrollIntoView();
+  static scrollTo(ref, options = NotProvided, adapter = ReactDOMAdapter) {
+    const target = resolveRef(ref);
 
-        return ref;
-      } else {
-        const domRef = ReactDOM.findDOMNode(ref);
+    if (!target) {
+      return null;
+    }
 
-        if (domRef && !!domRef.parentNode) {
-          domRef.scrollIntoView(options === NotProvided ? false : options);
-          return domRef;
-        } else {
-          return null;
-        }
-      }
+    if (options === NotProvided) {
+      return adapter.scrollIntoView(target);
     } else {
-      return null;
+      return adapter.scrollIntoView(target, options);
     }
   }
 
   /**
    * Creates a new RefManager instance
+   *
+   * @param {Object.<String,*>} options Options hash to configure the instance
+   * @param {Number} options.focusHistoryLimit The maximum number of previously
+   *        focused refs to remember, for use with focusPrevious() and focusBack().
+   *        Defaults to 10.
+   * @param {Function} options.isFocusable Predicate called with a ref and its item
+   *        id, that decides whether the ref should be skipped when iterating over
+   *        collections. By default, refs that are disabled, aria-disabled, hidden or
+   *        have no layout box are skipped.
+   * @param {String} options.name The name of the instance, used as the key to save
+   *        its focus under in options.storage
+   * @param {{load: Function, save: Function, remove: Function}} options.storage
+   *        Storage adapter used by saveFocus() and restoreSavedFocus(), such as the
+   *        ones returned by createSessionStorage() and createMemoryStorage()
+   * @param {RefManager} options.parent The RefManager instance this instance is a
+   *        child of. See createChild(). An error is thrown when the parent already
+   *        has a child with the same name.
+   * @param {Object.<String,Function>} options.adapter The adapter used to find,
+   *        focus and scroll to the elements that refs point to. Defaults to
+   *        ReactDOMAdapter, or the adapter of options.parent. See DOMAdapter for the
+   *        methods an adapter must define.
    */
-  constructor() {
+  constructor({ focusHistoryLimit = 10, isFocusable = null, name = 'default', storage = null, parent = null, adapter = parent ? parent._adapter : ReactDOMAdapter } = {}) {
+    if (parent && parent._children[name]) {
+      throw new Error(`The parent RefManager already has a child named '${name}'. Children must be given unique names.`);
+    }
+
     this._refs = {};
+    this._refCount = 0;
+    this._insertionIndexes = {};
+    this._DOMIndex = new Map();
+    this._collections = {};
+    this._trees = {};
+    this._grids = {};
+    this._links = {};
+    this._tabStops = {};
+    this._lastFocusedIds = {};
+    this._virtuallyFocused = {};
+    this._selections = {};
+    this._selectionListeners = [];
     this._focused = {};
     this._focusListeners = [];
+    this._beforeFocusListeners = [];
+    this._eventListeners = {};
+    this._focusHistory = [];
+    this._focusHistoryLimit = focusHistoryLimit;
+    this._adapter = adapter;
+    this._isFocusable = isFocusable || ((ref) => this._adapter.isFocusable(this._getDOMNode(ref)));
+    this._focusScopes = [];
+    this._typeahead = null;
+    this._isFocusing = false;
+    this._pendingFocus = null;
+    this._name = name;
+    this._storage = storage;
+    this._parent = parent;
+    this._children = {};
+    this._focusedChild = null;
+
+    if (parent) {
+      parent._children[name] = this;
+    }
+  }
+
+  /**
+   * Creates a RefManager instance that is a child of this one, for a feature or
+   * section of an app to store its own refs in. Only one instance in a hierarchy
+   * holds focus at a time: when a ref in one of them is focused, the instance
+   * that held focus before has its focus set to a null ref.
+   *
+   * Focus change listeners of the instance are also called when the focus of any
+   * of its children changes, and the refs of children can be addressed by
+   * prefixing the collectionId with their name, like 'sidebar/items'.
+   *
+   * @param {String} name The name of the child, which must be unique among the
+   *        instance's children. An error is thrown when it is not.
+   * @param {Object.<String,*>} options Options hash passed to the RefManager
+   *        constructor
+   * @returns {RefManager} The child instance
+   *
+   * @example
+   * const sidebarRefManager = this.refManager.createChild('sidebar');
+   *
+   * this.refManager.focusById('sidebar/items', 3);
+   */
+  createChild(name, options = {}) {
+    return new this.constructor({ ...options, name, parent: this });
+  }
+
+  /**
+   * Returns a child instance created using createChild() (or with the parent
+   * option) by its name.
+   *
+   * @param {String} name The name of the child
+   * @returns {RefManager|undefined} The child instance
+   */
+  getChild(name) {
+    return this._children[name];
+  }
+
+  /**
+   * Returns the child instance that holds focus, either because one of its own
+   * refs or a ref of one of its children is focused.
+   *
+   * @returns {RefManager|null} The child instance that holds focus, or null when
+   *          focus is held by this instance or not held at all
+   */
+  getFocusedChild() {
+    return this._focusedChild;
+  }
+
+  _getDOMNode(ref) {
+    const target = resolveRef(ref);
+
+    return target ? this._adapter.getNode(target) : null;
+  }
+
+  _isInDOM(ref) {
+    const DOMRef = this._getDOMNode(ref);
+
+    return !!DOMRef && this._adapter.isAttached(DOMRef);
+  }
+
+  _resolveAddress(collectionId) {
+    const separatorIndex = typeof collectionId === 'string' ? collectionId.indexOf('/') : -1;
+
+    if (separatorIndex === -1) {
+      return null;
+    }
+
+    const child = this._children[collectionId.slice(0, separatorIndex)];
+
+    return child ? { manager: child, collectionId: collectionId.slice(separatorIndex + 1) } : null;
+  }
+
+  _takeFocus(child = null) {
+    const previousChild = this._focusedChild;
+
+    this._focusedChild = child;
+
+    if (previousChild && previousChild !== child) {
+      previousChild._loseFocus();
+    } else if (!previousChild && child) {
+      this._blur();
+    }
+
+    if (this._parent) {
+      this._parent._takeFocus(this);
+    }
+  }
+
+  _loseFocus() {
+    const focusedChild = this._focusedChild;
+
+    this._focusedChild = null;
+
+    if (focusedChild) {
+      focusedChild._loseFocus();
+    }
+
+    this._blur();
+  }
+
+  _blur() {
+    if (this._focused && this._focused.ref) {
+      this.setCurrentFocus({ ref: null, DOMRef: null, applied: false });
+    }
   }
 
   /**
@@ -144,29 +315,207 @@ class RefManager {
    * @param {String|Number} collectionId Id of the collection to store the ref in, if
    *        it is an element in a larger collection of refs. If ref is a singular item
    *        then this value is the single key used to store the ref for later retrieval.
+   *        For nodes in a tree, this is an array of the tree's id, the ids of the
+   *        node's ancestors and the node's own id, followed by the ref and options.
    * @param {String|Number|Object=undefined} itemIdOrRef Item id to store the ref under
    *        when the ref is an item in a larger collection. If the ref is a singular
    *        item, then this value is not used and the next argument occupies this space.
-   * @param {ReactClassComponent} ref Ref to store
+   * @param {ReactClassComponent} ref Ref to store. When this is null (as it is
+   *        when React unmounts an element), the ref is unregistered using remove().
+   * @param {Object.<String,*>} options Options hash for refs that are items in a
+   *        collection.
+   * @param {String} options.label The text used to find the item with
+   *        focusByTypeahead(). Defaults to the text content of the ref's element.
+   * @param {Boolean} options.expanded Whether the node's children are visible, when
+   *        storing a node in a tree using a path. See expand().
    *
    * @example Using a single id
    * this.refManager.set('toolbar', ref)
    *
    * @example Using a collection and item id
    * this.refManager.set('items', index, ref)
+   *
+   * @example Using a label for typeahead
+   * this.refManager.set('countries', code, ref, { label: name })
+   *
+   * @example Using a path for a node in a tree
+   * this.refManager.set(['nav', 'settings', 'privacy'], ref)
    */
-  set(collectionId, itemIdOrRef = NotProvided, ref = NotProvided) {
-    if (ref === NotProvided) {
-      this._refs[collectionId] = { ref: itemIdOrRef, key: collectionId };
+  set(collectionId, itemIdOrRef = NotProvided, ref = NotProvided, { label } = {}) {
+    if (Array.isArray(collectionId)) {
+      this._setTreeNode(collectionId, itemIdOrRef, ref === NotProvided ? {} : ref);
+    } else if (ref === NotProvided) {
+      if (!itemIdOrRef || itemIdOrRef === NotProvided) {
+        this.remove(collectionId);
+      } else {
+        this._unindexRefObject(this._refs[collectionId]);
+
+        this._refs[collectionId] = {
+          ref: itemIdOrRef,
+          key: collectionId,
+          indexedDOMRef: this._indexDOMRef(itemIdOrRef, { collectionId })
+        };
+
+        this._emit(RefManagerEvent.REGISTER, { collectionId, ref: itemIdOrRef });
+        this._completePendingFocus(collectionId);
+      }
     } else {
+      if (!ref) {
+        this.remove(collectionId, itemIdOrRef);
+
+        return;
+      }
+
       const collectionRef = this._refs[collectionId];
 
       if (!collectionRef) {
         this._refs[collectionId] = { };
       }
 
-      this._refs[collectionId][itemIdOrRef] = { ref, key: itemIdOrRef };
+      const existingRefObject = this._refs[collectionId][itemIdOrRef];
+
+      if (existingRefObject && existingRefObject.ref !== ref) {
+        this._scheduleFocusRecovery(collectionId, itemIdOrRef);
+      }
+
+      this._unindexRefObject(existingRefObject);
+
+      this._refs[collectionId][itemIdOrRef] = {
+        ref,
+        key: itemIdOrRef,
+        index: this._getInsertionIndex(collectionId, itemIdOrRef),
+        label,
+        indexedDOMRef: this._indexDOMRef(ref, { collectionId, id: itemIdOrRef })
+      };
+
+      this._updateRovingTabIndex(collectionId, itemIdOrRef);
+      this._emit(RefManagerEvent.REGISTER, { collectionId, id: itemIdOrRef, ref });
+      this._completePendingFocus(collectionId);
+    }
+  }
+
+  _getInsertionIndex(collectionId, itemId) {
+    if (!this._insertionIndexes[collectionId]) {
+      this._insertionIndexes[collectionId] = {};
+    }
+
+    const indexes = this._insertionIndexes[collectionId];
+
+    if (typeof indexes[itemId] !== 'number') {
+      indexes[itemId] = this._refCount++;
+    }
+
+    return indexes[itemId];
+  }
+
+  _scheduleInsertionIndexRemoval(collectionId, itemId) {
+    Promise.resolve().then(() => {
+      const indexes = this._insertionIndexes[collectionId];
+
+      /**
+       * Removal waits for a microtask, because React calls inline ref callbacks with
+       * null and then with the element again on every render, and the item should
+       * keep its place in the insertion order
+       */
+      if (!indexes || this._get(collectionId, itemId)) {
+        return;
+      }
+
+      Reflect.deleteProperty(indexes, itemId);
+
+      if (Object.keys(indexes).length === 0) {
+        Reflect.deleteProperty(this._insertionIndexes, collectionId);
+      }
+    });
+  }
+
+  _setTreeNode(path, ref, { label, expanded }) {
+    const [treeId, ...nodeIds] = path;
+
+    if (!this._trees[treeId]) {
+      this._trees[treeId] = { parents: {}, expanded: {} };
+    }
+
+    const tree = this._trees[treeId];
+
+    /**
+     * Every path also describes the position of the node's ancestors, so they can
+     * be placed in the tree before (or without) being stored themselves
+     */
+    nodeIds.forEach((nodeId, index) => {
+      tree.parents[nodeId] = index > 0 ? nodeIds[index - 1] : null;
+    });
+
+    const itemId = nodeIds[nodeIds.length - 1];
+
+    if (typeof expanded === 'boolean') {
+      tree.expanded[itemId] = expanded;
+    }
+
+    this.set(treeId, itemId, ref, { label });
+  }
+
+  _resolvePath(path) {
+    return [path[0], path[path.length - 1]];
+  }
+
+  /**
+   * Stores a ref that is a cell in a grid (such as a data grid or spreadsheet),
+   * using its row and column. Rows can have different numbers of cells, and cells
+   * can span several rows or columns. focusNextById() moves focus between the cells
+   * of a grid in two dimensions, and the focus object reports the row and column of
+   * the focused cell.
+   *
+   * Cells are stored in the grid's collection with an id of 'row:col'.
+   *
+   * @param {String|Number} gridId Id of the grid
+   * @param {Number} row The index of the (first) row the cell is in
+   * @param {Number} col The index of the (first) column the cell is in
+   * @param {ReactClassComponent} ref Ref to store. When this is null (as it is when
+   *        React unmounts an element), the cell is unregistered.
+   * @param {Object.<String,*>} options Options hash
+   * @param {Number} options.rowSpan The number of rows the cell covers. Defaults to 1.
+   * @param {Number} options.colSpan The number of columns the cell covers. Defaults to 1.
+   * @param {String} options.label The text used to find the cell with
+   *        focusByTypeahead().
+   * @returns {void}
+   *
+   * @example
+   * this.refManager.setCell('spreadsheet', rowIndex, columnIndex, ref)
+   *
+   * @example A cell that covers two columns
+   * this.refManager.setCell('spreadsheet', 0, 0, ref, { colSpan: 2 })
+   */
+  setCell(gridId, row, col, ref, { rowSpan = 1, colSpan = 1, label } = {}) {
+    const cellId = this._getCellId(row, col);
+
+    if (!this._grids[gridId]) {
+      this._grids[gridId] = { cells: {}, cursor: null };
+    }
+
+    if (ref) {
+      this._grids[gridId].cells[cellId] = { row, col, rowSpan, colSpan };
     }
+
+    this.set(gridId, cellId, ref, { label });
+  }
+
+  _getCellId(row, col) {
+    return `${row}:${col}`;
+  }
+
+  _isGrid(collectionId) {
+    return !!this._grids[collectionId];
+  }
+
+  _getCellIdAt(gridId, row, col) {
+    const { cells } = this._grids[gridId];
+
+    return Object.keys(cells).find((cellId) => {
+      const cell = cells[cellId];
+
+      return row >= cell.row && row < cell.row + cell.rowSpan && col >= cell.col && col < cell.col + cell.colSpan;
+    });
   }
 
   /**
@@ -185,8 +534,21 @@ class RefManager {
    *
    * @example Using a collection and item id
    * this.refManager.get('items', index)
+   *
+   * @example Using the path of a node in a tree
+   * this.refManager.get(['nav', 'settings', 'privacy'])
    */
   get(collectionId = NotProvided, itemId = NotProvided) {
+    if (Array.isArray(collectionId)) {
+      return this.get(...this._resolvePath(collectionId));
+    }
+
+    const address = this._resolveAddress(collectionId);
+
+    if (address) {
+      return address.manager.get(address.collectionId, itemId);
+    }
+
     const refObject = this._get(collectionId, itemId);
 
     return (refObject && refObject.ref) || refObject;
@@ -203,157 +565,1682 @@ class RefManager {
   }
 
   /**
-   * Sets the current focus object without actually focusing the ref in the DOM.
-   * Useful if you need to focus a ref externally for whatever reason and need to
-   * update a RefManager instance.
+   * Configures how a collection of refs is treated by the RefManager instance. The
+   * collection's refs do not need to have been stored yet, and the options apply
+   * to refs that are stored after this method is called.
    *
-   * This method still calls any change listeners that may have been added using
-   * addFocusChangeListener()
+   * @param {String|Number} collectionId Id of the collection to configure
+   * @param {Object.<String,*>} options Options hash to configure the collection
+   * @param {String|Function} options.order The default order to iterate over the
+   *        collection's items in: 'insertion' (the order they were stored using
+   *        set()), 'dom' (the order their elements appear in the document) or a
+   *        comparator function that is passed two objects with id and ref
+   *        attributes. When not set, the order of the collection's keys is used.
+   * @param {String|Function} options.onFocusedItemRemoved How to recover focus when
+   *        the focused item is removed (or replaced by a new ref that is not
+   *        focused): 'next' or 'previous' focus the next or previous focusable item
+   *        (or the one on the other side, when there isn't one), 'nearest' focuses
+   *        the closest of the two and 'container' focuses options.container. A
+   *        function is called with the removed item's id and an object with nextId,
+   *        previousId and orderedIds attributes, and returns the id of the item to
+   *        focus. When not set, focus is not recovered.
+   * @param {Element|ReactClassComponent|String|Number} options.container The element,
+   *        ref or id of a singular ref to focus when options.onFocusedItemRemoved
+   *        is 'container'.
+   * @param {Function} options.onExpandedChange Function called with a node's id and
+   *        whether it is now expanded, when a node in a tree is expanded or
+   *        collapsed by expand(), collapse() or focusNextById().
+   * @returns {void}
    *
-   * @param {FocusObject} focused The focus object to set as the new current one
-   * @returns {FocusObject} the new focus object
+   * @example
+   * this.refManager.registerCollection('items', { order: 'dom' });
    */
-  setCurrentFocus(focused) {
-    const previousFocus = this._focused;
-    this._focused = focused;
+  registerCollection(collectionId, options = {}) {
+    this._collections[collectionId] = {
+      ...this._getCollectionOptions(collectionId),
+      ...options
+    };
+  }
 
-    this._focusListeners.forEach((listener) => {
-      listener(previousFocus, focused);
+  /**
+   * Registers a collection whose items are rendered by a virtualized list, so
+   * that only some of them are mounted at any one time. The collection's items
+   * must be stored using their index as their item id.
+   *
+   * focusNextById() and focusNthById() move through a virtual collection by index,
+   * using options.itemCount as its length. When the item to focus is not mounted,
+   * options.scrollToIndex is called to render it, and it is focused as soon as
+   * its ref is stored using set().
+   *
+   * @param {String|Number} collectionId Id of the collection
+   * @param {Object.<String,*>} options Options hash to configure the collection.
+   *        Accepts all of the options of registerCollection().
+   * @param {Number} options.itemCount The total number of items in the collection
+   * @param {Function} options.scrollToIndex Function called with the index of an
+   *        item that needs to be rendered (before it can be focused)
+   * @returns {void}
+   *
+   * @example
+   * this.refManager.registerVirtualCollection('rows', {
+   *   itemCount: rows.length,
+   *   scrollToIndex: (index) => this.listRef.current.scrollToItem(index)
+   * });
+   */
+  registerVirtualCollection(collectionId, { itemCount, scrollToIndex, ...options }) {
+    this.registerCollection(collectionId, {
+      ...options,
+      virtual: { itemCount, scrollToIndex }
     });
+  }
 
-    return this._focused;
+  _isVirtual(collectionId) {
+    return !!this._getCollectionOptions(collectionId).virtual;
   }
 
   /**
-   * Returns the current focus object. The focus object is updated every time one
-   * of the focus* methods is used, or setCurrentFocus().
+   * Returns the ids of the items in a collection, in the order that focusNext()
+   * iterates over them.
    *
-   * The focus object is an empty object ({}) before any focus* methods are called.
-   * @returns {{}|FocusObject} The current focus object, or an empty object.
+   * @param {String|Number} collectionId Id of the collection
+   * @param {String|Function} order (Optional) The order to return the ids in. See
+   *        the order option of registerCollection(). Defaults to the order the
+   *        collection was registered with.
+   * @returns {Array.<String|Number>} The ordered item ids, with the same type as
+   *          they were given to set()
+   *
+   * @example
+   * this.refManager.getOrderedIds('items');
    */
-  getCurrentFocus() {
-    return this._focused || {};
+  getOrderedIds(collectionId, order = this._getCollectionOptions(collectionId).order) {
+    if (!this._isCollection(collectionId)) {
+      return [];
+    }
+
+    if (this._isGrid(collectionId) && !order) {
+      const { cells } = this._grids[collectionId];
+
+      /**
+       * The cells of a grid are in the order they are read in: by row and then column
+       */
+      return this.getOrderedIds(collectionId, ({ id }, { id: otherId }) => cells[id].row - cells[otherId].row || cells[id].col - cells[otherId].col);
+    }
+
+    return getOrderedIds(this._refs[collectionId], order, (ref) => this._getDOMNode(ref), (node, otherNode) => this._adapter.compareDocumentPosition(node, otherNode));
+  }
+
+  _getCollectionOptions(collectionId) {
+    return this._collections[collectionId] || {};
+  }
+
+  _isTree(collectionId) {
+    return !!this._trees[collectionId];
   }
 
   /**
-   * Returns whether the ref currently considered focused by the RefManager instance
-   * is mounted in the DOM and the equal to document.activeElement.
+   * Returns the path of an item in a collection: the collectionId, followed by the
+   * ids of the item's ancestors (when the collection is a tree) and the item's id.
    *
-   * @returns {boolean} Whether the ref that was last focused by the RefManager
-   *          instance is currently mounted and focused in the DOM
+   * @param {String|Number} collectionId Id of the collection
+   * @param {String|Number} itemId Id of the item
+   * @returns {Array.<String|Number>} The item's path
+   *
+   * @example
+   * this.refManager.getPath('nav', 'privacy'); // ['nav', 'settings', 'privacy']
    */
-  isFocusedRefInDOM() {
-    return this.constructor.refIsFocused(this.getCurrentFocus().DOMRef);
+  getPath(collectionId, itemId) {
+    const path = [itemId];
+    const { parents = {} } = this._trees[collectionId] || {};
+
+    let parentId = parents[itemId];
+
+    while (parentId !== null && typeof parentId !== 'undefined' && path.length <= Object.keys(parents).length) {
+      path.unshift(parentId);
+      parentId = parents[parentId];
+    }
+
+    return [collectionId, ...path];
   }
 
   /**
-   * Focuses a ref in the DOM and records it as currently focused in the RefManager
-   * instance.
-   *
-   * @param {ReactClassComponent} ref The ref to focus
-   * @param {Object.<String,*>} options An options hash to configure how the ref is
-   *        stored once it is focused.
-   * @param {String|Number} options.id The item id of the ref to be focused.
-   *        This will appear in the focus object returned by this method and
-   *        getCurrentFocus().
-   * @param {String|Number=undefined} options.collectionId The collectionId of the
-   *        ref to be focused, when it is an item in a collection of refs.
-   * @param {*} options.context Any contextual information that you want to record
-   *        about the ref being focused, that will be useful later.
-   * @returns {FocusObject} Current focus object, after the ref has been focused in
-   *        the DOM and stored according the the options provided.
+   * Returns whether the children of a node in a tree are visible, and so are
+   * iterated over by focusNextById(). Nodes that have not been expanded or
+   * collapsed using set(), expand() or collapse() are considered expanded when
+   * any of their children are stored.
    *
-   * @example Focusing a toolbar ref
-   * const toolbarRef = refManager.get('toolbar');
-   * refManager.focus(toolbarRef, { id: 'toolbar' });
+   * @param {String|Number} collectionId Id of the tree
+   * @param {String|Number} itemId Id of the node
+   * @returns {Boolean} Whether the node is expanded
    */
-  focus(ref, { id, collectionId, context }) {
+  isExpanded(collectionId, itemId) {
+    if (!this._isTree(collectionId)) {
+      return false;
+    }
 
-    if (ref) {
-      const DOMRef = this.constructor.focus(ref);
+    const expanded = this._trees[collectionId].expanded[itemId];
 
-      return this.setCurrentFocus({
-        ref,
-        DOMRef,
-        id, collectionId, context, applied: !!DOMRef
-      });
-    } else {
-      return {
-        ref: null,
-        DOMRef: null,
-        id, collectionId, context,
-        applied: false
-      }
+    if (typeof expanded === 'boolean') {
+      return expanded;
     }
+
+    return this._getChildIds(collectionId, itemId).length > 0;
   }
 
   /**
-   * Focuses a ref in the browser identified by an id and (optionally) a collectionId,
-   * and updates the currently focused ref in the RefManager instance.
+   * Expands a node in a tree, so that its children are iterated over by
+   * focusNextById(). The onExpandedChange function passed to registerCollection()
+   * (if any) is called with the node's id and true, so the tree can render them.
    *
-   * @param {String|Number} collectionId The collectionId of the
-   *        ref to be focused, when it is an item in a collection of refs.
-   * @param {String|Number|Object.<String,*>} itemIdOrOptions The item id of the ref
-   *        to be focused. This will appear in the focus object returned by this
-   *        method and getCurrentFocus(). If an item id is not required, this is
-   *        the options hash, accepted as the last parameter.
-   * @param {Object.<String,*>} options An options hash to configure how the ref is
-   *        stored once it is focused.
-   * @param {*} options.context Any contextual information that you want to record
-   *        about the ref being focused, that will be useful later.
-   * @returns {FocusObject} Current focus object, after the ref has been focused in
-   *        the DOM and stored according the the options provided.
+   * @param {String|Number} collectionId Id of the tree
+   * @param {String|Number} itemId Id of the node to expand
+   * @returns {Boolean} Whether the node was collapsed before
    *
-   * @example Using a single id
-   * refManager.focusById('toolbar');
+   * @example
+   * this.refManager.registerCollection('nav', {
+   *   onExpandedChange: (id, expanded) => this.setState({ [id]: expanded })
+   * });
    *
-   * @example Using a collection and item id
-   * refManager.focusById('items', index);
+   * this.refManager.expand('nav', 'settings');
+   */
+  expand(collectionId, itemId) {
+    return this._setExpanded(collectionId, itemId, true);
+  }
+
+  /**
+   * Collapses a node in a tree, so that its children are skipped by
+   * focusNextById(). The onExpandedChange function passed to registerCollection()
+   * (if any) is called with the node's id and false.
    *
-   * @example Using options
-   * refManager.focusById('items', { context: { firstFocus: true } });
-   * refManager.focusById('items', index, { context: { firstFocus: true } });
+   * @param {String|Number} collectionId Id of the tree
+   * @param {String|Number} itemId Id of the node to collapse
+   * @returns {Boolean} Whether the node was expanded before
    */
-  focusById(collectionId, itemIdOrOptions = NotProvided, options = NotProvided) {
+  collapse(collectionId, itemId) {
+    return this._setExpanded(collectionId, itemId, false);
+  }
 
-    if (options === NotProvided) {
-      const [ _itemId, _options ] = function() {
+  _setExpanded(collectionId, itemId, expanded) {
+    if (!this._isTree(collectionId) || this.isExpanded(collectionId, itemId) === expanded) {
+      return false;
+    }
+
+    this._trees[collectionId].expanded[itemId] = expanded;
+
+    const { onExpandedChange } = this._getCollectionOptions(collectionId);
+
+    if (onExpandedChange) {
+      onExpandedChange(itemId, expanded);
+    }
+
+    return true;
+  }
+
+  _hasChildren(collectionId, itemId) {
+    const { parents, expanded } = this._trees[collectionId];
+
+    /**
+     * Nodes may have children that are not currently stored (because the node is
+     * collapsed), so a node that was given an expanded state is treated as a parent
+     */
+    return typeof expanded[itemId] === 'boolean' || Object.keys(parents).some((id) => {
+      const parentId = parents[id];
+
+      return parentId !== null && String(parentId) === String(itemId);
+    });
+  }
+
+  _getChildIds(collectionId, itemId, order) {
+    const { parents } = this._trees[collectionId];
+
+    return this.getOrderedIds(collectionId, order).filter((id) => {
+      const parentId = parents[id];
+
+      return parentId !== null && typeof parentId !== 'undefined' && String(parentId) === String(itemId);
+    });
+  }
+
+  /**
+   * Manages the tabindex attributes of a collection's elements, so that the
+   * collection is a single tab stop (a roving tabindex). The element of the item
+   * that is focused through the RefManager instance gets a tabindex of 0, and all
+   * of the others get a tabindex of -1. The attributes are kept in sync when the
+   * focus changes, and when items are stored or removed.
+   *
+   * Before any of the collection's items have been focused, the item with the
+   * initialId (or the first focusable item) is the collection's tab stop.
+   *
+   * @param {String|Number} collectionId Id of the collection
+   * @param {Object.<String,*>} options Options hash
+   * @param {String|Number} options.initialId The id of the item that should be
+   *        the tab stop before any item in the collection has been focused.
+   * @returns {void}
+   *
+   * @see {@link https://www.w3.org/TR/wai-aria-practices/#kbd_roving_tabindex}
+   *
+   * @example
+   * this.refManager.enableRovingTabIndex('toolbarButtons', { initialId: 'bold' });
+   */
+  enableRovingTabIndex(collectionId, { initialId } = {}) {
+    this.registerCollection(collectionId, { rovingTabIndex: { initialId } });
+
+    this._syncRovingTabIndex(collectionId);
+  }
+
+  /**
+   * Stops managing the tabindex attributes of a collection's elements. The
+   * attributes are left with the values they had.
+   *
+   * @param {String|Number} collectionId Id of the collection
+   * @returns {void}
+   */
+  disableRovingTabIndex(collectionId) {
+    this.registerCollection(collectionId, { rovingTabIndex: null });
+
+    Reflect.deleteProperty(this._tabStops, collectionId);
+  }
+
+  _updateRovingTabIndex(collectionId, itemId) {
+    if (!this._getCollectionOptions(collectionId).rovingTabIndex) {
+      return;
+    }
+
+    const refObject = this._get(collectionId, itemId);
+    const preferredTabStop = this._getPreferredTabStop(collectionId);
+
+    /**
+     * Only update the element that changed, unless it affects which item is the
+     * collection's tab stop
+     */
+    const tabStopIsUnchanged = preferredTabStop !== NotProvided &&
+      String(preferredTabStop) === String(this._tabStops[collectionId]) &&
+      String(preferredTabStop) !== String(itemId);
+
+    if (refObject && tabStopIsUnchanged) {
+      const DOMRef = this._getDOMNode(refObject.ref);
+
+      if (DOMRef) {
+        this._adapter.setTabIndex(DOMRef, -1);
+      }
+    } else {
+      this._syncRovingTabIndex(collectionId);
+    }
+  }
+
+  _syncRovingTabIndex(collectionId) {
+    if (!this._getCollectionOptions(collectionId).rovingTabIndex || !this._isCollection(collectionId)) {
+      return;
+    }
+
+    const preferredTabStop = this._getPreferredTabStop(collectionId);
+    const tabStop = preferredTabStop === NotProvided ? this._getFirstTabStop(collectionId) : preferredTabStop;
+
+    this._tabStops[collectionId] = tabStop;
+
+    const refCollection = this._refs[collectionId];
+
+    Object.keys(refCollection).forEach((itemId) => {
+      const DOMRef = this._getDOMNode(refCollection[itemId].ref);
+
+      if (DOMRef) {
+        this._adapter.setTabIndex(DOMRef, String(itemId) === String(tabStop) ? 0 : -1);
+      }
+    });
+  }
+
+  _getFirstTabStop(collectionId) {
+    const ids = this.getOrderedIds(collectionId);
+    const firstAvailableIndex = ids.findIndex((itemId) => this._isItemAvailable(collectionId, itemId));
+
+    return ids[Math.max(firstAvailableIndex, 0)];
+  }
+
+  _getPreferredTabStop(collectionId) {
+    const { rovingTabIndex } = this._getCollectionOptions(collectionId);
+    const currentFocus = this.getCurrentFocus();
+
+    const candidates = [
+      currentFocus.collectionId === collectionId ? currentFocus.id : NotProvided,
+      this._lastFocusedIds[collectionId],
+      rovingTabIndex.initialId
+    ];
+
+    const index = candidates.findIndex((itemId) => this._isItemAvailable(collectionId, itemId));
+
+    return index === -1 ? NotProvided : candidates[index];
+  }
+
+  _isItemAvailable(collectionId, itemId) {
+    if (typeof itemId === 'undefined' || itemId === NotProvided) {
+      return false;
+    }
+
+    const refObject = this._get(collectionId, itemId);
+
+    return !!refObject && this._isInDOM(refObject.ref) && this._isFocusable(refObject.ref, itemId);
+  }
+
+  /**
+   * Enables virtual focus for a collection, for widgets like comboboxes and large
+   * listboxes where DOM focus must stay on an owner element (e.g. an input) while
+   * the active item changes.
+   *
+   * While virtual focus is enabled, focusing an item in the collection (using any
+   * of the focus* methods) updates the current focus object, but rather than
+   * calling the element's focus() method, it:
+   *
+   * - Sets the aria-activedescendant attribute of the owner element to the id of
+   *   the item's element (generating an id for the element, if it doesn't have one)
+   * - Moves the active class name from the previously active item's element to
+   *   the new one
+   * - Scrolls the item's element into view inside its scroll container
+   *
+   * @param {String|Number} collectionId Id of the collection
+   * @param {Object.<String,*>} options Options hash
+   * @param {Element|ReactClassComponent|String|Number} options.owner The element
+   *        that keeps DOM focus, or the id of a singular ref stored using set()
+   * @param {String} options.activeClassName Class name added to the active item's
+   *        element. Defaults to 'active'.
+   * @param {Element} options.container The element to scroll the active item into
+   *        view inside of. Defaults to the item element's nearest scrollable ancestor.
+   * @returns {void}
+   *
+   * @see {@link https://www.w3.org/TR/wai-aria-practices/#kbd_focus_activedescendant}
+   *
+   * @example
+   * this.refManager.enableVirtualFocus('suggestions', { owner: 'searchInput' });
+   */
+  enableVirtualFocus(collectionId, { owner, activeClassName = 'active', container } = {}) {
+    this.registerCollection(collectionId, { virtualFocus: { owner, activeClassName, container } });
+  }
+
+  /**
+   * Disables virtual focus for a collection, removing the aria-activedescendant
+   * attribute from the owner element and the active class name from the active
+   * item's element.
+   *
+   * @param {String|Number} collectionId Id of the collection
+   * @returns {void}
+   */
+  disableVirtualFocus(collectionId) {
+    const { virtualFocus } = this._getCollectionOptions(collectionId);
+
+    if (!virtualFocus) {
+      return;
+    }
+
+    const ownerDOMRef = this._getVirtualFocusOwner(virtualFocus);
+
+    if (ownerDOMRef) {
+      this._adapter.removeAttribute(ownerDOMRef, 'aria-activedescendant');
+    }
+
+    const activeDOMRef = this._virtuallyFocused[collectionId];
+
+    if (activeDOMRef) {
+      this._adapter.removeClass(activeDOMRef, virtualFocus.activeClassName);
+    }
+
+    Reflect.deleteProperty(this._virtuallyFocused, collectionId);
+
+    this.registerCollection(collectionId, { virtualFocus: null });
+  }
+
+  _focusVirtually(ref, { id, collectionId }) {
+    const { virtualFocus } = this._getCollectionOptions(collectionId);
+    const DOMRef = this._getDOMNode(ref);
+
+    if (!this._isInDOM(DOMRef)) {
+      return null;
+    }
+
+    if (!this._adapter.getId(DOMRef)) {
+      this._adapter.setId(DOMRef, generateElementId(collectionId, id));
+    }
+
+    const ownerDOMRef = this._getVirtualFocusOwner(virtualFocus);
+
+    if (ownerDOMRef) {
+      this._adapter.setAttribute(ownerDOMRef, 'aria-activedescendant', this._adapter.getId(DOMRef));
+    }
+
+    const previousDOMRef = this._virtuallyFocused[collectionId];
+
+    if (previousDOMRef && previousDOMRef !== DOMRef) {
+      this._adapter.removeClass(previousDOMRef, virtualFocus.activeClassName);
+    }
+
+    this._adapter.addClass(DOMRef, virtualFocus.activeClassName);
+
+    this._virtuallyFocused[collectionId] = DOMRef;
+
+    const container = virtualFocus.container || this._adapter.getScrollContainer(DOMRef);
+
+    if (container) {
+      this._adapter.scrollIntoContainer(DOMRef, container);
+    } else {
+      this._adapter.scrollIntoView(DOMRef, { block: 'nearest', inline: 'nearest' });
+    }
+
+    return DOMRef;
+  }
+
+  _getVirtualFocusOwner({ owner }) {
+    if (typeof owner === 'string' || typeof owner === 'number') {
+      return this._getDOMNode(this.get(owner));
+    }
+
+    return this._getDOMNode(owner);
+  }
+
+  /**
+   * Unregisters a ref previously stored using set(). When the last item in a
+   * collection is removed, the collection is removed as well.
+   *
+   * @param {String|Number} collectionId Id of the collection to remove the ref from.
+   *        If the ref is not part of a collection, this is the singular id that was
+   *        used to store the ref.
+   * @param {String|Number} itemId (Optional) Id of the item to remove. When this is
+   *        not provided, the singular ref or the entire collection is removed.
+   * @returns {boolean} Whether a ref or collection was found and removed
+   *
+   * @example Removing an item from a collection
+   * this.refManager.remove('items', index)
+   */
+  remove(collectionId, itemId = NotProvided) {
+    const refCollection = this._refs[collectionId];
+
+    if (!refCollection) {
+      return false;
+    }
+
+    if (itemId === NotProvided) {
+      const isSingular = this._isSingular(collectionId, refCollection);
+      const refObjects = isSingular ? [] : Object.keys(refCollection).map((key) => refCollection[key]);
+
+      if (!isSingular) {
+        this._scheduleFocusRecovery(collectionId, this.getCurrentFocus().id);
+      }
+
+      if (isSingular) {
+        this._unindexRefObject(refCollection);
+      } else {
+        refObjects.forEach((refObject) => this._unindexRefObject(refObject));
+      }
+
+      Reflect.deleteProperty(this._refs, collectionId);
+      Reflect.deleteProperty(this._trees, collectionId);
+      Reflect.deleteProperty(this._grids, collectionId);
+      Reflect.deleteProperty(this._insertionIndexes, collectionId);
+
+      if (isSingular) {
+        this._emit(RefManagerEvent.UNREGISTER, { collectionId });
+      } else {
+        refObjects.forEach(({ key }) => this._emit(RefManagerEvent.UNREGISTER, { collectionId, id: key }));
+      }
+
+      return true;
+    }
+
+    if (this._isSingular(collectionId, refCollection) || !refCollection[itemId]) {
+      return false;
+    }
+
+    const { key } = refCollection[itemId];
+
+    this._scheduleFocusRecovery(collectionId, key);
+    this._unindexRefObject(refCollection[itemId]);
+
+    Reflect.deleteProperty(refCollection, itemId);
+    this._scheduleInsertionIndexRemoval(collectionId, itemId);
+
+    if (this._isGrid(collectionId)) {
+      Reflect.deleteProperty(this._grids[collectionId].cells, itemId);
+    }
+
+    if (Object.keys(refCollection).length === 0) {
+      Reflect.deleteProperty(this._refs, collectionId);
+    }
+
+    this._updateRovingTabIndex(collectionId, itemId);
+    this._emit(RefManagerEvent.UNREGISTER, { collectionId, id: key });
+
+    return true;
+  }
+
+  _scheduleFocusRecovery(collectionId, itemId) {
+    const { onFocusedItemRemoved } = this._getCollectionOptions(collectionId);
+    const { collectionId: focusedCollectionId, id, applied } = this.getCurrentFocus();
+
+    if (!onFocusedItemRemoved || !applied || focusedCollectionId !== collectionId || String(id) !== String(itemId)) {
+      return;
+    }
+
+    /**
+     * The order of the collection is recorded before the item is removed, so its
+     * neighbours can still be found. Recovery waits for a microtask, because React
+     * calls ref callbacks with null before calling them again with a new element.
+     */
+    const orderedIds = this.getOrderedIds(collectionId);
+
+    Promise.resolve().then(() => this._recoverFocus(collectionId, id, orderedIds, onFocusedItemRemoved));
+  }
+
+  _recoverFocus(collectionId, removedId, orderedIds, onFocusedItemRemoved) {
+    const currentFocus = this.getCurrentFocus();
+    const { context } = currentFocus;
+
+    if (currentFocus.collectionId !== collectionId || String(currentFocus.id) !== String(removedId)) {
+      return;
+    }
+
+    const refObject = this._get(collectionId, removedId);
+
+    if (refObject && this._isInDOM(refObject.ref)) {
+      if (refObject.ref !== currentFocus.ref) {
+        this.focusById(collectionId, refObject.key, { context });
+      }
+
+      return;
+    }
+
+    const isAvailable = (itemId) => {
+      const availableRefObject = this._get(collectionId, itemId);
+
+      return !!availableRefObject && this._isInDOM(availableRefObject.ref) && this._isFocusable(availableRefObject.ref, availableRefObject.key);
+    };
+
+    const removedIndex = orderedIds.map(String).indexOf(String(removedId));
+    const [nextId] = orderedIds.slice(removedIndex + 1).filter(isAvailable);
+    const previousIds = orderedIds.slice(0, Math.max(removedIndex, 0)).filter(isAvailable);
+    const previousId = previousIds[previousIds.length - 1];
+
+    if (onFocusedItemRemoved === 'container') {
+      this._focusCollectionContainer(collectionId, context);
+
+      return;
+    }
+
+    const targetId = function(){
+      if (onFocusedItemRemoved === 'next') {
+        return typeof nextId === 'undefined' ? previousId : nextId;
+      } else if (onFocusedItemRemoved === 'previous') {
+        return typeof previousId === 'undefined' ? nextId : previousId;
+      } else if (typeof onFocusedItemRemoved === 'function') {
+        return onFocusedItemRemoved(removedId, { nextId, previousId, orderedIds });
+      } else if (typeof nextId === 'undefined' || typeof previousId === 'undefined') {
+        return typeof nextId === 'undefined' ? previousId : nextId;
+      } else {
+        const nextDistance = orderedIds.indexOf(nextId) - removedIndex;
+        const previousDistance = removedIndex - orderedIds.indexOf(previousId);
+
+        return previousDistance < nextDistance ? previousId : nextId;
+      }
+    }();
+
+    if (typeof targetId === 'undefined' || targetId === null) {
+      this._blur();
+    } else {
+      this.focusById(collectionId, targetId, { context });
+    }
+  }
+
+  _focusCollectionContainer(collectionId, context) {
+    const { container } = this._getCollectionOptions(collectionId);
+
+    if (typeof container === 'string' || typeof container === 'number') {
+      this.focusById(container, { context });
+    } else if (container) {
+      this.focus(container, { collectionId, context });
+    } else {
+      this._blur();
+    }
+  }
+
+  /**
+   * Unregisters all of the refs in a collection, or all of the refs stored in the
+   * RefManager instance, when a collectionId is not provided.
+   *
+   * @param {String|Number} collectionId (Optional) Id of the collection to clear
+   * @returns {void}
+   */
+  clear(collectionId = NotProvided) {
+    if (collectionId === NotProvided) {
+      Object.keys(this._refs).forEach((storedCollectionId) => this.remove(storedCollectionId));
+
+      this._refs = {};
+      this._trees = {};
+      this._grids = {};
+      this._insertionIndexes = {};
+      this._DOMIndex = new Map();
+    } else {
+      this.remove(collectionId);
+    }
+  }
+
+  /**
+   * Unregisters every ref that is no longer mounted in the DOM.
+   *
+   * @returns {Number} The number of refs that were removed
+   */
+  prune() {
+    return Object.keys(this._refs).reduce((memo, collectionId) => {
+      const refCollection = this._refs[collectionId];
+
+      if (this._isSingular(collectionId, refCollection)) {
+        return memo + (this._isInDOM(refCollection.ref) ? 0 : Number(this.remove(collectionId)));
+      }
+
+      return Object.keys(refCollection).reduce((count, itemId) => {
+        if (this._isInDOM(refCollection[itemId].ref)) {
+          return count;
+        }
+
+        return count + Number(this.remove(collectionId, itemId));
+      }, memo);
+    }, 0);
+  }
+
+  /**
+   * Sets the current focus object without actually focusing the ref in the DOM.
+   * Useful if you need to focus a ref externally for whatever reason and need to
+   * update a RefManager instance.
+   *
+   * This method still calls any change listeners that may have been added using
+   * addFocusChangeListener()
+   *
+   * @param {FocusObject} focused The focus object to set as the new current one
+   * @returns {FocusObject} the new focus object
+   */
+  setCurrentFocus(focused) {
+    const previousFocus = this._focused;
+    this._focused = focused;
+
+    this._recordFocusHistory(previousFocus, focused);
+
+    if (focused && focused.applied) {
+      this._lastFocusedIds[focused.collectionId] = focused.id;
+    }
+
+    if (focused && this._getCollectionOptions(focused.collectionId).rovingTabIndex) {
+      this._syncRovingTabIndex(focused.collectionId);
+    }
+
+    if (focused && focused.applied) {
+      this._takeFocus();
+    }
+
+    this._callFocusListeners(previousFocus, focused, this);
+
+    return this._focused;
+  }
+
+  _callFocusListeners(previousFocus, focused, manager) {
+    callListeners(this._focusListeners, [previousFocus, focused, manager]);
+
+    if (this._parent) {
+      this._parent._callFocusListeners(previousFocus, focused, manager);
+    }
+  }
+
+  /**
+   * Keeps the current focus object in sync with the browser's focus, so that refs
+   * that are focused by the user (by clicking or tabbing) or by other code are
+   * recorded as focused, and focus change listeners are called.
+   *
+   * When an element inside rootElement is focused, it (or its nearest ancestor)
+   * is looked up among the refs stored using set(). When focus leaves all of the
+   * stored refs, a focus object with a null ref is recorded.
+   *
+   * @param {Element|Document=} rootElement The element to listen to focus
+   *        events on
+   * @returns {Function} Function that stops tracking the browser's focus again
+   *
+   * @example
+   * componentDidMount() {
+   *   this.stopTrackingFocus = this.refManager.trackNativeFocus(this.rootElement);
+   * }
+   */
+  trackNativeFocus(rootElement = document) {
+    const handleFocusIn = ({ target }) => {
+      if (this._isFocusing) {
+        return;
+      }
+
+      const location = this._findIndexedLocation(target);
+
+      if (location) {
+        const currentFocus = this.getCurrentFocus();
+
+        if (currentFocus.applied && currentFocus.collectionId === location.collectionId && currentFocus.id === location.id) {
+          return;
+        }
+
+        this._setNativeFocus(location);
+      } else {
+        this._setNativeFocus(null);
+      }
+    };
+
+    const handleFocusOut = ({ relatedTarget }) => {
+      if (this._isFocusing || (relatedTarget && this._findIndexedLocation(relatedTarget))) {
+        return;
+      }
+
+      if (this.getCurrentFocus().ref) {
+        this._setNativeFocus(null);
+      }
+    };
+
+    rootElement.addEventListener('focusin', handleFocusIn);
+    rootElement.addEventListener('focusout', handleFocusOut);
+
+    return () => {
+      rootElement.removeEventListener('focusin', handleFocusIn);
+      rootElement.removeEventListener('focusout', handleFocusOut);
+    };
+  }
+
+  _setNativeFocus(location) {
+    if (!location) {
+      if (this.getCurrentFocus().ref) {
+        this.setCurrentFocus({ ref: null, DOMRef: null, applied: false });
+      }
+
+      return;
+    }
+
+    const { collectionId, id } = location;
+    const refObject = typeof id === 'undefined' ? this._get(collectionId) : this._get(collectionId, id);
+
+    this.setCurrentFocus(this._withPosition({
+      ref: refObject.ref,
+      DOMRef: refObject.indexedDOMRef,
+      id, collectionId,
+      applied: true
+    }));
+  }
+
+  _withPosition(focusObject) {
+    if (this._isTree(focusObject.collectionId)) {
+      return { ...focusObject, path: this.getPath(focusObject.collectionId, focusObject.id) };
+    }
+
+    if (this._isGrid(focusObject.collectionId) && this._grids[focusObject.collectionId].cells[focusObject.id]) {
+      const { row, col } = this._grids[focusObject.collectionId].cells[focusObject.id];
+
+      return { ...focusObject, row, col };
+    }
+
+    return focusObject;
+  }
+
+  _indexDOMRef(ref, location) {
+    const DOMRef = this._getDOMNode(ref);
+
+    if (DOMRef) {
+      this._DOMIndex.set(DOMRef, location);
+    }
+
+    return DOMRef;
+  }
+
+  _unindexRefObject(refObject) {
+    if (refObject && refObject.indexedDOMRef) {
+      this._DOMIndex.delete(refObject.indexedDOMRef);
+    }
+  }
+
+  _findIndexedLocation(element, indexRefObjects = true) {
+    let node = element;
+
+    while (node) {
+      const location = this._DOMIndex.get(node);
+
+      if (location) {
+        return location;
+      }
+
+      node = this._adapter.getParent(node);
+    }
+
+    if (indexRefObjects && this._indexRefObjects()) {
+      return this._findIndexedLocation(element, false);
+    }
+
+    return null;
+  }
+
+  _indexRefObjects() {
+    let indexedCount = 0;
+
+    const indexRefObject = (refObject, location) => {
+      const DOMRef = this._getDOMNode(refObject.ref);
+
+      if (DOMRef && DOMRef !== refObject.indexedDOMRef) {
+        this._unindexRefObject(refObject);
+
+        refObject.indexedDOMRef = this._indexDOMRef(refObject.ref, location);
+        indexedCount += 1;
+      }
+    };
+
+    /**
+     * Ref objects (from React.createRef() or useRef()) are often stored before
+     * React has set their current value, so they are indexed once it has been
+     */
+    Object.keys(this._refs).forEach((collectionId) => {
+      const refCollection = this._refs[collectionId];
+
+      if (this._isSingular(collectionId, refCollection)) {
+        indexRefObject(refCollection, { collectionId });
+      } else {
+        Object.keys(refCollection).forEach((itemId) => {
+          indexRefObject(refCollection[itemId], { collectionId, id: refCollection[itemId].key });
+        });
+      }
+    });
+
+    return indexedCount > 0;
+  }
+
+  /**
+   * Returns the current focus object. The focus object is updated every time one
+   * of the focus* methods is used, or setCurrentFocus().
+   *
+   * The focus object is an empty object ({}) before any focus* methods are called.
+   * @returns {{}|FocusObject} The current focus object, or an empty object.
+   */
+  getCurrentFocus() {
+    return this._focused || {};
+  }
+
+  /**
+   * Returns whether the ref currently considered focused by the RefManager instance
+   * is mounted in the DOM and the equal to document.activeElement.
+   *
+   * @returns {boolean} Whether the ref that was last focused by the RefManager
+   *          instance is currently mounted and focused in the DOM
+   */
+  isFocusedRefInDOM() {
+    return this.constructor.refIsFocused(this.getCurrentFocus().DOMRef, this._adapter);
+  }
+
+  /**
+   * Focuses a ref in the DOM and records it as currently focused in the RefManager
+   * instance.
+   *
+   * @param {ReactClassComponent} ref The ref to focus
+   * @param {Object.<String,*>} options An options hash to configure how the ref is
+   *        stored once it is focused.
+   * @param {String|Number} options.id The item id of the ref to be focused.
+   *        This will appear in the focus object returned by this method and
+   *        getCurrentFocus().
+   * @param {String|Number=undefined} options.collectionId The collectionId of the
+   *        ref to be focused, when it is an item in a collection of refs.
+   * @param {*} options.context Any contextual information that you want to record
+   *        about the ref being focused, that will be useful later.
+   * @returns {FocusObject} Current focus object, after the ref has been focused in
+   *        the DOM and stored according the the options provided.
+   *
+   * @example Focusing a toolbar ref
+   * const toolbarRef = refManager.get('toolbar');
+   * refManager.focus(toolbarRef, { id: 'toolbar' });
+   */
+  focus(ref, { id, collectionId, context }) {
+    this._cancelPendingFocus();
+
+    if (!ref) {
+      return this._failFocus({ id, collectionId, context }, FocusFailureReason.NOT_REGISTERED);
+    }
+
+    const target = this._callBeforeFocusChangeListeners({ ref, id, collectionId, context });
+
+    if (!target) {
+      return this._failFocus({ id, collectionId, context }, FocusFailureReason.VETOED);
+    }
+
+    if (!target.ref) {
+      return this._failFocus(target, FocusFailureReason.NOT_REGISTERED);
+    }
+
+    if (!this._isInFocusScope(target.collectionId)) {
+      return this._failFocus(target, FocusFailureReason.OUT_OF_SCOPE);
+    }
+
+    const { virtualFocus } = this._getCollectionOptions(target.collectionId);
+
+    /**
+     * Focus events caused by the RefManager instance are ignored by trackNativeFocus()
+     */
+    this._isFocusing = true;
+
+    let DOMRef = null;
+
+    if (this._isInDOM(target.ref)) {
+      DOMRef = virtualFocus ? this._focusVirtually(target.ref, target) : this.constructor.focus(target.ref, this._adapter);
+    }
+
+    this._isFocusing = false;
+
+    const focusObject = this._withPosition({
+      ref: target.ref,
+      DOMRef,
+      id: target.id, collectionId: target.collectionId, context: target.context,
+      applied: !!DOMRef
+    });
+
+    if (!DOMRef) {
+      focusObject.reason = FocusFailureReason.NOT_IN_DOM;
+
+      this._emit(RefManagerEvent.FOCUS_FAIL, {
+        id: target.id, collectionId: target.collectionId, context: target.context,
+        reason: FocusFailureReason.NOT_IN_DOM
+      });
+    }
+
+    return this.setCurrentFocus(focusObject);
+  }
+
+  _failFocus({ id, collectionId, context }, reason) {
+    this._emit(RefManagerEvent.FOCUS_FAIL, { id, collectionId, context, reason });
+
+    return {
+      ref: null,
+      DOMRef: null,
+      id, collectionId, context,
+      applied: false,
+      reason
+    };
+  }
+
+  _callBeforeFocusChangeListeners(target) {
+    const currentFocus = this.getCurrentFocus();
+
+    return this._beforeFocusListeners.reduce((nextTarget, listener) => {
+      if (!nextTarget) {
+        return nextTarget;
+      }
+
+      const [result] = callListeners([listener], [currentFocus, nextTarget]);
+
+      if (result === false) {
+        return null;
+      }
+
+      if (result && typeof result === 'object') {
+        const { collectionId = nextTarget.collectionId, id, context = nextTarget.context } = result;
+        const isSingular = typeof id === 'undefined';
+        const refObject = isSingular ? this._get(collectionId) : this._get(collectionId, id);
+        const redirectedTarget = { ref: refObject && refObject.ref, collectionId, context };
+
+        /**
+         * Singular refs are focused without an item id, like they are by focusById()
+         */
+        if (!isSingular) {
+          redirectedTarget.id = refObject && refObject.key;
+        }
+
+        return redirectedTarget;
+      }
+
+      return nextTarget;
+    }, target);
+  }
+
+  /**
+   * Focuses a ref in the browser identified by an id and (optionally) a collectionId,
+   * and updates the currently focused ref in the RefManager instance.
+   *
+   * @param {String|Number} collectionId The collectionId of the
+   *        ref to be focused, when it is an item in a collection of refs.
+   * @param {String|Number|Object.<String,*>} itemIdOrOptions The item id of the ref
+   *        to be focused. This will appear in the focus object returned by this
+   *        method and getCurrentFocus(). If an item id is not required, this is
+   *        the options hash, accepted as the last parameter.
+   * @param {Object.<String,*>} options An options hash to configure how the ref is
+   *        stored once it is focused.
+   * @param {*} options.context Any contextual information that you want to record
+   *        about the ref being focused, that will be useful later.
+   * @returns {FocusObject} Current focus object, after the ref has been focused in
+   *        the DOM and stored according the the options provided.
+   *
+   * @example Using a single id
+   * refManager.focusById('toolbar');
+   *
+   * @example Using a collection and item id
+   * refManager.focusById('items', index);
+   *
+   * @example Using options
+   * refManager.focusById('items', { context: { firstFocus: true } });
+   * refManager.focusById('items', index, { context: { firstFocus: true } });
+   *
+   * @example Using the path of a node in a tree
+   * refManager.focusById(['nav', 'settings', 'privacy']);
+   */
+  focusById(collectionId, itemIdOrOptions = NotProvided, options = NotProvided) {
+    if (Array.isArray(collectionId)) {
+      return this.focusById(...this._resolvePath(collectionId), itemIdOrOptions === NotProvided ? {} : itemIdOrOptions);
+    }
+
+    const address = this._resolveAddress(collectionId);
+
+    if (address) {
+      return address.manager.focusById(address.collectionId, itemIdOrOptions, options);
+    }
+
+    if (options === NotProvided) {
+      const [ _itemId, _options ] = function() {
+
+        if (itemIdOrOptions === NotProvided) {
+          return [ undefined, {}];
+        } else {
+          if (typeof(itemIdOrOptions) === 'object') {
+            return [ undefined, itemIdOrOptions || {} ];
+          } else {
+            return [ itemIdOrOptions, {} ];
+          }
+        }
+      }();
+
+      if (typeof _itemId === 'undefined') {
+        return this.focus(this.get(collectionId), {
+          collectionId,
+          ..._options
+        });
+
+      } else {
+        const refObject = this._get(collectionId, _itemId);
+
+        return this.focus(refObject && refObject.ref, {
+          id: refObject ? refObject.key : _itemId,
+          collectionId,
+          ..._options
+        });
+      }
+
+    } else {
+      const refObject = this._get(collectionId, itemIdOrOptions);
+
+      return this.focus(refObject && refObject.ref, {
+        ...options,
+        id: refObject ? refObject.key : itemIdOrOptions,
+        collectionId,
+      });
+    }
+  }
+
+  /**
+   * Focuses a ref identified by an id and (optionally) a collectionId as soon as it
+   * is available. If the ref is already stored and mounted in the DOM, it is
+   * focused straight away. Otherwise, the request is queued and completed when
+   * set() stores a matching ref that is mounted in the DOM - after a route change
+   * or data has loaded, for example. Ref objects that are stored before React has
+   * set their current value are checked again on each animation frame.
+   *
+   * Only one request is queued at a time: it is cancelled by any later request,
+   * or call to one of the focus* methods.
+   *
+   * @param {String|Number} collectionId The collectionId of the ref to be focused
+   * @param {String|Number|Object.<String,*>} itemIdOrOptions The item id of the ref
+   *        to be focused, when it is an item in a collection. If an item id is not
+   *        required, this is the options hash, accepted as the last parameter.
+   * @param {Object.<String,*>} options Options hash to configure how the ref is focused.
+   * @param {Number} options.timeout The number of milliseconds to wait for the ref
+   *        to become available. Defaults to 3000.
+   * @param {*} options.context Any contextual information that you want to record
+   *        about the ref being focused.
+   * @returns {Promise.<FocusObject>} Promise that resolves with the focus object once
+   *          the ref has been focused, or with a focus object with an applied value of
+   *          false, when the request times out or is cancelled.
+   *
+   * @example
+   * this.refManager.focusByIdWhenAvailable('results', firstId, { timeout: 5000 });
+   */
+  focusByIdWhenAvailable(collectionId, itemIdOrOptions = NotProvided, options = NotProvided) {
+    const address = this._resolveAddress(collectionId);
+
+    if (address) {
+      return address.manager.focusByIdWhenAvailable(address.collectionId, itemIdOrOptions, options);
+    }
+
+    const [itemId, { timeout = 3000, context }] = function(){
+      if (typeof itemIdOrOptions === 'string' || typeof itemIdOrOptions === 'number') {
+        return [itemIdOrOptions, options === NotProvided ? {} : options];
+      } else {
+        return [NotProvided, itemIdOrOptions === NotProvided ? {} : itemIdOrOptions];
+      }
+    }();
+
+    this._cancelPendingFocus();
+
+    return new Promise((resolve) => {
+      this._pendingFocus = {
+        collectionId, itemId, context, resolve,
+        timer: setTimeout(() => this._cancelPendingFocus(), timeout)
+      };
+
+      this._completePendingFocus(collectionId);
+    });
+  }
+
+  _completePendingFocus(collectionId) {
+    const pendingFocus = this._pendingFocus;
+
+    if (!pendingFocus || pendingFocus.collectionId !== collectionId) {
+      return;
+    }
+
+    const { itemId, context, timer, resolve } = pendingFocus;
+    const refObject = this._get(collectionId, itemId);
+
+    if (!refObject || !refObject.ref) {
+      return;
+    }
+
+    if (!this._isInDOM(refObject.ref)) {
+      this._checkPendingRefObject(pendingFocus, refObject.ref);
+
+      return;
+    }
+
+    clearTimeout(timer);
+    this._pendingFocus = null;
+
+    if (itemId === NotProvided) {
+      resolve(this.focusById(collectionId, { context }));
+    } else {
+      resolve(this.focusById(collectionId, itemId, { context }));
+    }
+  }
+
+  _checkPendingRefObject(pendingFocus, ref) {
+
+    /**
+     * Ref objects are usually stored before React sets their current value, which
+     * does not call set() again, so they are checked again on each frame until
+     * they resolve to a mounted element or the request is cancelled
+     */
+    if (resolveRef(ref) === ref || pendingFocus.isCheckingRefObject) {
+      return;
+    }
+
+    pendingFocus.isCheckingRefObject = true;
+
+    this._adapter.requestFrame(() => {
+      pendingFocus.isCheckingRefObject = false;
+
+      if (this._pendingFocus === pendingFocus) {
+        this._completePendingFocus(pendingFocus.collectionId);
+      }
+    });
+  }
+
+  _cancelPendingFocus() {
+    const pendingFocus = this._pendingFocus;
 
-        if (itemIdOrOptions === NotProvided) {
-          return [ undefined, {}];
-        } else {
-          if (typeof(itemIdOrOptions) === 'object') {
-            return [ undefined, itemIdOrOptions || {} ];
-          } else {
-            return [ itemIdOrOptions, {} ];
+    if (!pendingFocus) {
+      return;
+    }
+
+    const { collectionId, itemId, context, timer, resolve } = pendingFocus;
+
+    clearTimeout(timer);
+    this._pendingFocus = null;
+
+    const focusObject = {
+      ref: null,
+      DOMRef: null,
+      collectionId, context,
+      applied: false
+    };
+
+    if (itemId !== NotProvided) {
+      focusObject.id = itemId;
+    }
+
+    resolve(focusObject);
+  }
+
+  /**
+   * Focuses the ref that was focused before the current one, skipping any refs
+   * that are no longer mounted in the DOM. The ref is looked up again by its id,
+   * so refs that have been re-rendered since they were focused are still found.
+   *
+   * @param {Object.<String,*>} options Options hash to configure how the ref is focused.
+   * @param {*} options.context Any contextual information that you want to record
+   *        about the ref being focused. Defaults to the context the ref had when it
+   *        was last focused.
+   * @returns {FocusObject} Current focus object, after the previous ref has been
+   *        focused in the DOM.
+   *
+   * @example Returning focus once a dialog closes
+   * refManager.focusPrevious();
+   */
+  focusPrevious(options = {}) {
+    return this.focusBack(1, options);
+  }
+
+  /**
+   * Focuses the ref that was focused n focus changes ago, skipping any refs that
+   * are no longer mounted in the DOM. The entries that are stepped over are
+   * removed from the focus history.
+   *
+   * @param {Number} steps Number of (mounted) focus history entries to go back.
+   *        Defaults to 1.
+   * @param {Object.<String,*>} options Options hash to configure how the ref is focused.
+   * @param {*} options.context Any contextual information that you want to record
+   *        about the ref being focused. Defaults to the context the ref had when it
+   *        was last focused.
+   * @returns {FocusObject} Current focus object, after the ref has been focused in
+   *        the DOM, or an unapplied focus object if there is no such history entry.
+   *
+   * @example
+   * refManager.focusBack(2);
+   */
+  focusBack(steps = 1, options = {}) {
+    const history = this._focusHistory;
+    let remaining = steps;
+
+    for (let index = history.length - 1; index >= 0; index--) {
+      const entry = history[index];
+
+      if (this._isInFocusScope(entry.collectionId) && this._isMountedHistoryEntry(entry)) {
+        remaining -= 1;
+
+        if (remaining === 0) {
+          const retainedHistory = history.slice(0, index);
+          const context = 'context' in options ? options.context : entry.context;
+
+          const focusObject = this._focusHistoryEntry(entry, context);
+
+          if (focusObject.applied) {
+            this._focusHistory = retainedHistory;
           }
+
+          return focusObject;
         }
-      }();
+      }
+    }
 
-      if (_itemId) {
-        const refObject = this._get(collectionId, _itemId);
+    return {
+      ref: null,
+      DOMRef: null,
+      context: options.context,
+      applied: false
+    };
+  }
 
-        return this.focus(refObject && refObject.ref, {
-          id: refObject && refObject.key,
-          collectionId,
-          ..._options
-        });
+  /**
+   * Returns the focus objects of the refs that were previously focused, ordered
+   * from the oldest to the most recent.
+   *
+   * @returns {FocusObject[]} List of previous focus objects
+   */
+  getFocusHistory() {
+    return [ ...this._focusHistory ];
+  }
+
+  /**
+   * Removes all entries from the focus history
+   *
+   * @returns {void}
+   */
+  clearFocusHistory() {
+    this._focusHistory = [];
+  }
+
+  _recordFocusHistory(previousFocus, focused) {
+    if (!previousFocus || !previousFocus.applied) {
+      return;
+    }
+
+    if (focused && previousFocus.collectionId === focused.collectionId && previousFocus.id === focused.id) {
+      return;
+    }
+
+    this._focusHistory.push(previousFocus);
+
+    const overflow = this._focusHistory.length - this._focusHistoryLimit;
+
+    if (overflow > 0) {
+      this._focusHistory.splice(0, overflow);
+    }
+  }
+
+  _focusHistoryEntry({ collectionId, id }, context) {
+    if (typeof id === 'undefined') {
+      return this.focusById(collectionId, { context });
+    } else {
+      return this.focusById(collectionId, id, { context });
+    }
+  }
+
+  _isMountedHistoryEntry({ collectionId, id }) {
+    const refObject = typeof id === 'undefined' ? this._get(collectionId) : this._get(collectionId, id);
+
+    return !!refObject && this._isInDOM(refObject.ref);
+  }
+
+  /**
+   * Returns a snapshot of the current focus that can be stored (as JSON, for
+   * example) and later passed to restoreFocus(). Unlike focus objects, snapshots
+   * do not contain refs. Item ids keep the type they were stored with.
+   *
+   * The focus context is included in the snapshot, so it should also be safe
+   * to store.
+   *
+   * @returns {{collectionId: (String|Number), id: (String|Number), context: *}|null}
+   *          Snapshot of the current focus, or null when nothing has been focused
+   *
+   * @example
+   * history.replaceState({ focus: this.refManager.serializeFocus() }, '');
+   */
+  serializeFocus() {
+    const { collectionId, id, context } = this.getCurrentFocus();
+
+    if (typeof collectionId === 'undefined') {
+      return null;
+    }
+
+    const snapshot = { collectionId };
+
+    if (typeof id !== 'undefined') {
+      snapshot.id = id;
+    }
+
+    if (typeof context !== 'undefined') {
+      snapshot.context = context;
+    }
+
+    return snapshot;
+  }
+
+  /**
+   * Focuses the ref described by a snapshot returned by serializeFocus(), by
+   * looking it up again using focusById().
+   *
+   * @param {{collectionId: (String|Number), id: (String|Number), context: *}} snapshot
+   *        The snapshot to restore
+   * @param {Object.<String,*>} options Options hash to configure how the ref is focused.
+   * @param {Boolean} options.waitForRef Whether to wait for the ref to be stored using
+   *        set(), when it is not available yet. See focusByIdWhenAvailable().
+   * @param {Number} options.timeout The number of milliseconds to wait for the ref,
+   *        when options.waitForRef is true.
+   * @returns {Promise.<FocusObject>} Promise that resolves with the focus object once
+   *          the ref has been focused (or could not be)
+   *
+   * @example
+   * this.refManager.restoreFocus(history.state.focus, { waitForRef: true });
+   */
+  restoreFocus(snapshot, { waitForRef = false, timeout } = {}) {
+    if (!snapshot) {
+      return Promise.resolve({ ref: null, DOMRef: null, applied: false });
+    }
+
+    const { collectionId, id, context } = snapshot;
 
+    if (waitForRef) {
+      if (typeof id === 'undefined') {
+        return this.focusByIdWhenAvailable(collectionId, { context, timeout });
       } else {
-        return this.focus(this.get(collectionId), {
-          collectionId,
-          ..._options
-        });
+        return this.focusByIdWhenAvailable(collectionId, id, { context, timeout });
       }
+    }
 
+    if (typeof id === 'undefined') {
+      return Promise.resolve(this.focusById(collectionId, { context }));
     } else {
-      const refObject = this.get(collectionId, itemIdOrOptions);
+      return Promise.resolve(this.focusById(collectionId, id, { context }));
+    }
+  }
 
-      return this.focus(refObject && refObject.ref, {
-        ...options,
-        id: refObject && refObject.key,
-        collectionId,
-      });
+  /**
+   * Saves a snapshot of the current focus in the storage adapter the instance was
+   * created with, under the instance's name.
+   *
+   * @returns {Object|null} The snapshot that was saved. See serializeFocus().
+   *
+   * @example
+   * componentWillUnmount() {
+   *   this.refManager.saveFocus();
+   * }
+   */
+  saveFocus() {
+    const snapshot = this.serializeFocus();
+
+    this._getStorage().save(this._getStorageKey(), snapshot);
+
+    return snapshot;
+  }
+
+  /**
+   * Restores the focus snapshot that was last saved using saveFocus(), from the
+   * storage adapter the instance was created with.
+   *
+   * @param {Object.<String,*>} options Options hash. Accepts the same options as
+   *        restoreFocus().
+   * @returns {Promise.<FocusObject>} Promise that resolves with the focus object once
+   *          the ref has been focused (or could not be)
+   *
+   * @example
+   * componentDidMount() {
+   *   this.refManager.restoreSavedFocus({ waitForRef: true });
+   * }
+   */
+  restoreSavedFocus(options = {}) {
+    return this.restoreFocus(this._getStorage().load(this._getStorageKey()), options);
+  }
+
+  _getStorage() {
+    if (!this._storage) {
+      throw new Error('A storage adapter must be passed to the RefManager constructor to save and restore focus');
+    }
+
+    return this._storage;
+  }
+
+  _getStorageKey() {
+    return `react-ref-manager:${this._name}`;
+  }
+
+  /**
+   * Restricts focus to the refs in a list of collections (a focus trap), until the
+   * scope is removed again using popFocusScope(). While the scope is active, any
+   * attempt to focus a ref outside of it is not applied, and pressing Tab inside
+   * the container cycles through the refs in the scope.
+   *
+   * Scopes can be nested: only the most recently pushed scope is active.
+   *
+   * @param {Object.<String,*>} options Options hash to configure the scope
+   * @param {Array.<String|Number>} options.collections The ids of the collections
+   *        (or singular refs) that focus is restricted to.
+   * @param {{collectionId: (String|Number), id: (String|Number)}} options.initialFocus
+   *        The ref to focus once the scope has been pushed. When id is omitted and
+   *        collectionId points to a collection, its first item is focused.
+   * @param {Boolean} options.restoreFocus Whether to focus the ref that was
+   *        focused before the scope was pushed, when it is popped. Defaults to true.
+   * @param {Element} options.container The element to listen to Tab key presses
+   *        on. Defaults to document. Use null to leave Tab navigation to the browser.
+   * @returns {FocusObject} The current focus object, once the scope has been pushed
+   *
+   * @example
+   * refManager.pushFocusScope({
+   *   collections: ['dialogFields', 'dialogButtons'],
+   *   initialFocus: { collectionId: 'dialogFields' }
+   * });
+   */
+  pushFocusScope({ collections = [], initialFocus, restoreFocus = true, container = document } = {}) {
+    const scope = {
+      collections,
+      restoreFocus,
+      container,
+      previousFocus: this.getCurrentFocus()
+    };
+
+    scope.handleKeyDown = (event) => this._handleFocusScopeKeyDown(scope, event);
+
+    if (container) {
+      container.addEventListener('keydown', scope.handleKeyDown);
+    }
+
+    this._focusScopes.push(scope);
+
+    if (initialFocus) {
+      return this._focusScopeEntry(initialFocus);
+    }
+
+    return this.getCurrentFocus();
+  }
+
+  /**
+   * Removes the focus scope that was most recently added using pushFocusScope(),
+   * and (unless the restoreFocus option was false) focuses the ref that was
+   * focused when the scope was pushed.
+   *
+   * @returns {FocusObject} The current focus object, once the scope has been removed
+   */
+  popFocusScope() {
+    const scope = this._focusScopes.pop();
+
+    if (!scope) {
+      return this.getCurrentFocus();
+    }
+
+    if (scope.container) {
+      scope.container.removeEventListener('keydown', scope.handleKeyDown);
+    }
+
+    const { previousFocus } = scope;
+
+    if (scope.restoreFocus && previousFocus.applied) {
+      return this._focusHistoryEntry(previousFocus, previousFocus.context);
+    }
+
+    return this.getCurrentFocus();
+  }
+
+  _isInFocusScope(collectionId) {
+    const scope = this._focusScopes[this._focusScopes.length - 1];
+
+    return !scope || scope.collections.indexOf(collectionId) !== -1;
+  }
+
+  _focusScopeEntry({ collectionId, id, context }) {
+    if (typeof id === 'undefined' && this._isCollection(collectionId)) {
+      return this.focusNextById(collectionId, { context });
+    }
+
+    return this._focusHistoryEntry({ collectionId, id }, context);
+  }
+
+  _handleFocusScopeKeyDown(scope, event) {
+    if (event.key !== 'Tab' || scope !== this._focusScopes[this._focusScopes.length - 1]) {
+      return;
+    }
+
+    event.preventDefault();
+
+    const entries = this._getEntries(scope.collections).filter(({ ref, id }) => this._isInDOM(ref) && this._isFocusable(ref, id));
+
+    if (entries.length === 0) {
+      return;
+    }
+
+    const { collectionId, id } = this.getCurrentFocus();
+
+    const currentIndex = entries.findIndex((entry) => entry.collectionId === collectionId && entry.id === id);
+
+    const nextIndex = function(){
+      if (event.shiftKey) {
+        return currentIndex <= 0 ? entries.length - 1 : currentIndex - 1;
+      } else {
+        return (currentIndex + 1) % entries.length;
+      }
+    }();
+
+    const nextEntry = entries[nextIndex];
+
+    this.focus(nextEntry.ref, { id: nextEntry.id, collectionId: nextEntry.collectionId });
+  }
+
+  _isCollection(collectionId) {
+    const refCollection = this._refs[collectionId];
+
+    return !!refCollection && !this._isSingular(collectionId, refCollection);
+  }
+
+  _isSingular(collectionId, refObject) {
+    return refObject.key === collectionId && 'ref' in refObject;
+  }
+
+  _getEntries(collectionIds) {
+    return collectionIds.reduce((memo, collectionId) => {
+      const refCollection = this._refs[collectionId];
+
+      if (!refCollection) {
+        return memo;
+      }
+
+      if (this._isSingular(collectionId, refCollection)) {
+        memo.push({ collectionId, ref: refCollection.ref });
+      } else {
+        this.getOrderedIds(collectionId).forEach((itemId) => {
+          memo.push({ collectionId, id: itemId, ref: refCollection[itemId].ref });
+        });
+      }
+
+      return memo;
+    }, []);
+  }
+
+  /**
+   * Links an edge of a collection to another collection, so that moving focus past
+   * that edge with focusNextById() or focusNext() continues in the linked
+   * collection, rather than stopping or wrapping around. Links only go in one
+   * direction, so the other collection must be linked back in the opposite
+   * direction for focus to be able to return.
+   *
+   * @param {String|Number} collectionId The id of the collection to link from
+   * @param {FocusDirection} direction The edge of the collection to link:
+   *        FocusDirection.LEFT, RIGHT, UP or DOWN
+   * @param {String|Number} linkedCollectionId The id of the collection that focus
+   *        continues in
+   * @param {Object.<String,*>} options Options hash
+   * @param {String} options.entry Which item of the linked collection is focused:
+   *        - 'first': The first item (the default)
+   *        - 'last': The last item
+   *        - 'nearestColumn': The item nearest to the focused one in the direction
+   *          of movement, measured using getBoundingClientRect()
+   *        - 'remembered': The item that was last focused in the linked collection
+   *        When no item is found for 'nearestColumn' or 'remembered', the item at
+   *        the edge that focus enters from is used: the first item when moving down
+   *        or right, and the last item when moving up or left.
+   * @returns {void}
+   *
+   * @example
+   * this.refManager.linkCollections('toolbar', FocusDirection.DOWN, 'items', { entry: 'nearestColumn' });
+   * this.refManager.linkCollections('items', FocusDirection.UP, 'toolbar', { entry: 'remembered' });
+   */
+  linkCollections(collectionId, direction, linkedCollectionId, { entry = 'first' } = {}) {
+    if (!this._links[collectionId]) {
+      this._links[collectionId] = {};
+    }
+
+    this._links[collectionId][direction] = { collectionId: linkedCollectionId, entry };
+  }
+
+  /**
+   * Removes a link created with linkCollections()
+   *
+   * @param {String|Number} collectionId The id of the collection the link is from
+   * @param {FocusDirection} direction (Optional) The edge of the collection to
+   *        unlink. When not provided, all of the collection's links are removed.
+   * @returns {void}
+   */
+  unlinkCollections(collectionId, direction = NotProvided) {
+    if (direction === NotProvided) {
+      Reflect.deleteProperty(this._links, collectionId);
+    } else if (this._links[collectionId]) {
+      Reflect.deleteProperty(this._links[collectionId], direction);
     }
   }
 
@@ -369,7 +2256,84 @@ class RefManager {
    * @param {Array.<String|Number>} options.indexes An array of the collection keys
    *        that should be used to iterate over the collection items. The default value
    *        is the full set of keys in the collection pointed to by the provided
-   *        collectionId, in the order that those items were added to the collection.
+   *        collectionId, in the order given by options.order.
+   * @param {String|Function} options.order The order to iterate over the collection's
+   *        items in, when options.indexes is not provided: 'insertion', 'dom' or a
+   *        comparator function. See registerCollection(). Defaults to the order the
+   *        collection was registered with, or the order of the collection's keys.
+   * @param {*} options.context Any contextual information that you want to record
+   *        about the ref being focused.
+   * @param {Number=1} options.collectionWidth number of items in each row of the
+   *        collection. Used for iterating over 2 dimensional lists (grids of items).
+   * @param {Boolean=false} options.yWrap whether to allow wrapping of the focused item
+   *        when the iteration reaches the top or bottom of the collection. i.e. If the
+   *        yWrap is false and the user iterates to the bottom of a grid and presses
+   *        down once more, the focus will not move. If yWrap is true, the same
+   *        situation will focus the item in the top row, in that same column.
+   * @param {Boolean=false} options.xWrap Similar to yWrap, but for wrapping around
+   *        rows, rather than columns.
+   * @param {Function} options.isFocusable Predicate called with each ref and its item
+   *        id, that decides whether it should be skipped over. Defaults to the
+   *        isFocusable option the RefManager instance was created with.
+   * @returns {FocusObject} The current focus object, once the next item in a collection
+   *        has been focused in the DOM and stored in the RefManager instance.
+   *
+   * @example
+   * this.refManager.focusNextById('users', {
+   *     direction: FocusDirection.RIGHT,
+   *     xWrap: true
+   * });
+   */
+  focusNextById(collectionId, options = {}) {
+    const address = this._resolveAddress(collectionId);
+
+    if (address) {
+      return address.manager.focusNextById(address.collectionId, options);
+    }
+
+    if (this._isTree(collectionId)) {
+      return this._focusNextInTree(collectionId, options);
+    }
+
+    if (this._isGrid(collectionId)) {
+      return this._focusNextInGrid(collectionId, options);
+    }
+
+    if (this._isVirtual(collectionId)) {
+      return this._focusNextInVirtualCollection(collectionId, options);
+    }
+
+    const refCollection = this.get(collectionId);
+
+    return this.focusNext(refCollection, {
+      ...options,
+      collectionId,
+    });
+  }
+
+  /**
+   * Focuses the next item in a collection of refs. If no item in a collection of refs
+   * is currently focused, the first item is focused. If the last item in the
+   * collection is already focused, the behaviour depends on the options.yWrap and
+   * options.xWrap. Items whose refs are missing, no longer mounted in the DOM or
+   * not focusable are skipped over.
+   *
+   * @param {Object.<String|Number,ReactClassComponent>} refCollection The collection
+   *        of refs to iterate over.
+   * @param {Object.<String,*>} options Options hash to configure how the ref is focused.
+   * @param {FocusDirection=FocusDirection.RIGHT} options.direction One of the
+   *        FocusDirection values that determines in what direction the collection should
+   *        be iterated over.
+   * @param {Array.<String|Number>} options.indexes An array of the collection keys
+   *        that should be used to iterate over the collection items. The default value
+   *        is the full set of keys in the collection pointed to by the provided
+   *        collectionId, in the order given by options.order.
+   * @param {String|Function} options.order The order to iterate over the collection's
+   *        items in, when options.indexes is not provided: 'insertion', 'dom' or a
+   *        comparator function. See registerCollection(). Defaults to the order the
+   *        collection was registered with, or the order of the collection's keys.
+   * @param {String|Number} options.collectionId The collectionId of the ref to be focused,
+   *        when it is an item in a collection of refs.
    * @param {*} options.context Any contextual information that you want to record
    *        about the ref being focused.
    * @param {Number=1} options.collectionWidth number of items in each row of the
@@ -381,144 +2345,783 @@ class RefManager {
    *        situation will focus the item in the top row, in that same column.
    * @param {Boolean=false} options.xWrap Similar to yWrap, but for wrapping around
    *        rows, rather than columns.
+   * @param {Function} options.isFocusable Predicate called with each ref and its item
+   *        id, that decides whether it should be skipped over. Defaults to the
+   *        isFocusable option the RefManager instance was created with.
    * @returns {FocusObject} The current focus object, once the next item in a collection
    *        has been focused in the DOM and stored in the RefManager instance.
+   */
+  focusNext(refCollection, { direction = FocusDirection.RIGHT, indexes, collectionId, context, collectionWidth = 1, yWrap = false, xWrap = false, isFocusable = this._isFocusable, order = this._getCollectionOptions(collectionId).order }) {
+
+    if (!refCollection) {
+      return this._failFocus({ collectionId, context }, FocusFailureReason.NOT_REGISTERED);
+    }
+
+    const currentFocus = this.getCurrentFocus();
+
+    const _indexes = indexes ? indexes : getOrderedIds(refCollection, order, (ref) => this._getDOMNode(ref), (node, otherNode) => this._adapter.compareDocumentPosition(node, otherNode));
+
+    const stringifiedIndexes = _indexes.map((index) => index.toString());
+
+    const refIdsIndex = stringifiedIndexes.indexOf(typeof currentFocus.id !== 'undefined' && currentFocus.id.toString());
+
+    const isAvailable = (refId) => {
+      const refObject = refCollection[refId];
+
+      return !!refObject && this._isInDOM(refObject.ref) && isFocusable(refObject.ref, refObject.key);
+    };
+
+    /**
+     * When jumping to the start or end of the collection (or row) and the item
+     * there is not available, the search continues back towards the current item
+     */
+    const scanDirection = function(){
+      if (direction === FocusDirection.FIRST || direction === FocusDirection.ROW_START) {
+        return FocusDirection.RIGHT;
+      } else if (direction === FocusDirection.LAST || direction === FocusDirection.ROW_END) {
+        return FocusDirection.LEFT;
+      } else {
+        return direction;
+      }
+    }();
+
+    const findNextRefId = (canWrap) => {
+      if (currentFocus.collectionId !== collectionId || refIdsIndex === -1) {
+        if (direction === FocusDirection.LAST || direction === FocusDirection.ROW_END) {
+          const reversedIndexes = _indexes.slice().reverse();
+
+          return reversedIndexes.find(isAvailable);
+        } else {
+          return _indexes.find(isAvailable);
+        }
+      }
+
+      let index = refIdsIndex;
+
+      /**
+       * Keep moving in the requested direction until an item that is still mounted
+       * and focusable is found, or there is nowhere left to move to
+       */
+      for (let steps = 0; steps < _indexes.length; steps++) {
+        const isScanning = steps > 0 && scanDirection !== direction;
+
+        const nextIndex = getNextIndex(index, {
+          direction: isScanning ? scanDirection : direction,
+          length: _indexes.length,
+          collectionWidth,
+          yWrap: yWrap && canWrap && !isScanning,
+          xWrap: xWrap && canWrap && !isScanning
+        });
+
+        if (nextIndex === index || nextIndex === refIdsIndex) {
+          break;
+        }
+
+        if (isAvailable(_indexes[nextIndex])) {
+          return _indexes[nextIndex];
+        }
+
+        index = nextIndex;
+      }
+
+      return isAvailable(_indexes[refIdsIndex]) ? _indexes[refIdsIndex] : NotProvided;
+    };
+
+    const linkedFocus = this._followLink(collectionId, direction, () => {
+      if (refIdsIndex === -1) {
+        return false;
+      }
+
+      const unwrappedRefId = findNextRefId(false);
+
+      return unwrappedRefId === NotProvided ||
+        isAtListEdge(refIdsIndex, _indexes.indexOf(unwrappedRefId), { direction, collectionWidth });
+    }, context);
+
+    if (linkedFocus) {
+      return linkedFocus;
+    }
+
+    const nextRefId = findNextRefId(true);
+
+    const nextRefObject = typeof nextRefId === 'undefined' || nextRefId === NotProvided ? null : refCollection[nextRefId];
+
+    return this.focus(nextRefObject && nextRefObject.ref, { id: nextRefObject && nextRefObject.key, collectionId, context });
+  }
+
+  _focusNextInTree(collectionId, { direction = FocusDirection.DOWN, context, yWrap = false, isFocusable = this._isFocusable, order = this._getCollectionOptions(collectionId).order }) {
+    const refCollection = this._refs[collectionId] || {};
+
+    const isAvailable = (itemId) => {
+      const refObject = refCollection[itemId];
+
+      return !!refObject && this._isInDOM(refObject.ref) && isFocusable(refObject.ref, refObject.key);
+    };
+
+    const visibleIds = this._getVisibleTreeIds(collectionId, order).filter(isAvailable);
+
+    const currentFocus = this.getCurrentFocus();
+
+    const currentIndex = visibleIds.map(String).indexOf(
+      currentFocus.collectionId === collectionId && typeof currentFocus.id !== 'undefined' ? String(currentFocus.id) : NotProvided
+    );
+
+    const isAtEdge = () => currentIndex !== -1 && (
+      (direction === FocusDirection.DOWN && currentIndex === visibleIds.length - 1) ||
+      (direction === FocusDirection.UP && currentIndex === 0)
+    );
+
+    const linkedFocus = this._followLink(collectionId, direction, isAtEdge, context);
+
+    if (linkedFocus) {
+      return linkedFocus;
+    }
+
+    const nextId = this._getNextTreeId(collectionId, visibleIds, currentIndex, { direction, yWrap });
+
+    const nextRefObject = typeof nextId === 'undefined' ? null : refCollection[nextId];
+
+    return this.focus(nextRefObject && nextRefObject.ref, { id: nextRefObject && nextRefObject.key, collectionId, context });
+  }
+
+  _getVisibleTreeIds(collectionId, order) {
+    const { parents } = this._trees[collectionId];
+
+    return getVisibleTreeIds(this.getOrderedIds(collectionId, order), {
+      getParentId: (itemId) => parents[itemId],
+      isExpanded: (itemId) => this.isExpanded(collectionId, itemId)
+    });
+  }
+
+  _getNextTreeId(collectionId, visibleIds, currentIndex, { direction, yWrap }) {
+
+    /**
+     * Follows the keyboard interaction of the WAI-ARIA treeview pattern:
+     * https://www.w3.org/TR/wai-aria-practices/#TreeView
+     */
+    const lastIndex = visibleIds.length - 1;
+
+    if (currentIndex === -1 || direction === FocusDirection.FIRST || direction === FocusDirection.LAST) {
+      return direction === FocusDirection.LAST ? visibleIds[lastIndex] : visibleIds[0];
+    }
+
+    const currentId = visibleIds[currentIndex];
+
+    if (direction === FocusDirection.DOWN) {
+      if (currentIndex < lastIndex) {
+        return visibleIds[currentIndex + 1];
+      }
+
+      return yWrap ? visibleIds[0] : currentId;
+    } else if (direction === FocusDirection.UP) {
+      if (currentIndex > 0) {
+        return visibleIds[currentIndex - 1];
+      }
+
+      return yWrap ? visibleIds[lastIndex] : currentId;
+    } else if (direction === FocusDirection.RIGHT) {
+      if (!this._hasChildren(collectionId, currentId)) {
+        return currentId;
+      }
+
+      if (!this.isExpanded(collectionId, currentId)) {
+        this.expand(collectionId, currentId);
+
+        return currentId;
+      }
+
+      const [firstChildId] = this._getChildIds(collectionId, currentId).filter((itemId) => visibleIds.includes(itemId));
+
+      return typeof firstChildId === 'undefined' ? currentId : firstChildId;
+    } else if (direction === FocusDirection.LEFT) {
+      if (this.isExpanded(collectionId, currentId)) {
+        this.collapse(collectionId, currentId);
+
+        return currentId;
+      }
+
+      const parentId = this._trees[collectionId].parents[currentId];
+      const parentIndex = visibleIds.map(String).indexOf(String(parentId));
+
+      return parentIndex === -1 ? currentId : visibleIds[parentIndex];
+    } else {
+      return currentId;
+    }
+  }
+
+  /**
+   * Focuses the cell of a grid that covers a row and column. See setCell().
+   *
+   * @param {String|Number} gridId The id of the grid
+   * @param {Number} row The index of the row
+   * @param {Number} col The index of the column
+   * @param {Object.<String,*>} options Options hash
+   * @param {*} options.context Any contextual information that you want to record
+   *        about the ref being focused.
+   * @returns {FocusObject} The current focus object, once the cell has been focused
+   *        in the DOM and stored in the RefManager instance.
    *
    * @example
-   * this.refManager.focusNextById('users', {
-   *     direction: FocusDirection.RIGHT,
-   *     xWrap: true
-   * });
+   * this.refManager.focusCell('spreadsheet', 0, 2);
    */
-  focusNextById(collectionId, options = {}) {
-    const refCollection = this.get(collectionId);
+  focusCell(gridId, row, col, { context } = {}) {
+    const address = this._resolveAddress(gridId);
 
-    return this.focusNext(refCollection, {
-      ...options,
-      collectionId,
+    if (address) {
+      return address.manager.focusCell(address.collectionId, row, col, { context });
+    }
+
+    const cellId = this._isGrid(gridId) ? this._getCellIdAt(gridId, row, col) : null;
+
+    if (!cellId) {
+      return this._failFocus({ id: this._getCellId(row, col), collectionId: gridId, context }, FocusFailureReason.NOT_REGISTERED);
+    }
+
+    const focusObject = this.focusById(gridId, cellId, { context });
+
+    if (focusObject.applied && focusObject.collectionId === gridId && focusObject.id === cellId) {
+      this._grids[gridId].cursor = { id: cellId, row, col };
+    }
+
+    return focusObject;
+  }
+
+  _focusNextInGrid(collectionId, { direction = FocusDirection.RIGHT, context, xWrap = false, yWrap = false, isFocusable = this._isFocusable }) {
+    const refCollection = this._refs[collectionId] || {};
+    const grid = this._grids[collectionId];
+
+    const isAvailable = (cellId) => {
+      const refObject = refCollection[cellId];
+
+      return !!refObject && this._isInDOM(refObject.ref) && isFocusable(refObject.ref, refObject.key);
+    };
+
+    const cursor = this._getGridCursor(collectionId);
+
+    const isAtEdge = () => !!cursor && getNextGridCell(grid.cells, cursor, { direction, xWrap: false, yWrap: false, isAvailable }).id === cursor.id;
+
+    const linkedFocus = this._followLink(collectionId, direction, isAtEdge, context);
+
+    if (linkedFocus) {
+      return linkedFocus;
+    }
+
+    const nextCell = getNextGridCell(grid.cells, cursor, { direction, xWrap, yWrap, isAvailable });
+
+    const nextRefObject = nextCell && isAvailable(nextCell.id) ? refCollection[nextCell.id] : null;
+
+    const focusObject = this.focus(nextRefObject && nextRefObject.ref, { id: nextRefObject && nextRefObject.key, collectionId, context });
+
+    /**
+     * The column (and row) the cursor is in is remembered separately from the focused
+     * cell, so moving through cells that span several columns or rows, or through
+     * rows that are too short, returns to the column focus started in
+     */
+    if (focusObject.applied && focusObject.collectionId === collectionId && focusObject.id === nextCell.id) {
+      grid.cursor = nextCell;
+    }
+
+    return focusObject;
+  }
+
+  _getGridCursor(collectionId) {
+    const { cells, cursor } = this._grids[collectionId];
+    const { collectionId: focusedCollectionId, id } = this.getCurrentFocus();
+
+    if (focusedCollectionId !== collectionId || !cells[id]) {
+      return null;
+    }
+
+    if (cursor && cursor.id === id) {
+      return cursor;
+    }
+
+    return { id, row: cells[id].row, col: cells[id].col };
+  }
+
+  _followLink(collectionId, direction, isAtEdge, context) {
+    const link = this._links[collectionId] && this._links[collectionId][direction];
+    const currentFocus = this.getCurrentFocus();
+
+    if (!link || currentFocus.collectionId !== collectionId || !isAtEdge()) {
+      return null;
+    }
+
+    return this._focusLinkedCollection(link, direction, currentFocus.DOMRef, context);
+  }
+
+  _focusLinkedCollection({ collectionId, entry }, direction, fromDOMRef, context) {
+    const address = this._resolveAddress(collectionId);
+
+    if (address) {
+      return address.manager._focusLinkedCollection({ collectionId: address.collectionId, entry }, direction, fromDOMRef, context);
+    }
+
+    if (!this._isInFocusScope(collectionId)) {
+      return null;
+    }
+
+    const entersFromStart = direction === FocusDirection.DOWN || direction === FocusDirection.RIGHT;
+
+    if (this._isVirtual(collectionId)) {
+      const { itemCount } = this._getCollectionOptions(collectionId).virtual;
+      const rememberedIndex = Number(this._lastFocusedIds[collectionId]);
+
+      if (!itemCount) {
+        return null;
+      }
+
+      const index = function(){
+        if (entry === 'remembered' && rememberedIndex >= 0 && rememberedIndex < itemCount) {
+          return rememberedIndex;
+        } else if (entry === 'last' || (entry !== 'first' && !entersFromStart)) {
+          return itemCount - 1;
+        } else {
+          return 0;
+        }
+      }();
+
+      return this._focusVirtualIndex(collectionId, index, context);
+    }
+
+    const entryId = this._getLinkedEntryId(collectionId, entry, entersFromStart, { direction, fromDOMRef });
+
+    return entryId === NotProvided ? null : this.focusById(collectionId, entryId, { context });
+  }
+
+  _getLinkedEntryId(collectionId, entry, entersFromStart, { direction, fromDOMRef }) {
+    const orderedIds = this._isTree(collectionId) ? this._getVisibleTreeIds(collectionId) : this.getOrderedIds(collectionId);
+    const ids = orderedIds.filter((itemId) => this._isItemAvailable(collectionId, itemId));
+
+    if (ids.length === 0) {
+      return NotProvided;
+    }
+
+    if (entry === 'remembered') {
+      const rememberedIndex = ids.map(String).indexOf(String(this._lastFocusedIds[collectionId]));
+
+      if (rememberedIndex !== -1) {
+        return ids[rememberedIndex];
+      }
+    } else if (entry === 'nearestColumn' && this._isInDOM(fromDOMRef)) {
+      const candidates = ids.map((id) => ({ id, rect: this._adapter.getRect(this._getDOMNode(this._get(collectionId, id).ref)) }));
+      const nearest = getNearestInDirection(this._adapter.getRect(this._getDOMNode(fromDOMRef)), candidates, direction);
+
+      if (nearest) {
+        return nearest.id;
+      }
+    } else if (entry === 'first' || entry === 'last') {
+      return entry === 'first' ? ids[0] : ids[ids.length - 1];
+    }
+
+    return entersFromStart ? ids[0] : ids[ids.length - 1];
+  }
+
+  /**
+   * Focuses the nth focusable item in a collection, in the order that focusNext()
+   * iterates over it.
+   *
+   * @param {String|Number} collectionId The collectionId of the collection
+   * @param {Number} position The (zero-based) position of the item to focus. Negative
+   *        values count back from the end of the collection, so -1 is the last item.
+   * @param {Object.<String,*>} options Options hash to configure how the ref is focused.
+   * @param {Number} options.offset When provided and an item in the collection is
+   *        currently focused, the item this many positions after (or before, when
+   *        negative) the current one is focused instead of the one at position.
+   *        Positions beyond the start or end of the collection focus the first or
+   *        last item.
+   * @param {String|Function} options.order The order of the collection's items. See
+   *        registerCollection().
+   * @param {Function} options.isFocusable Predicate called with each ref and its item
+   *        id, that decides whether it should be skipped over.
+   * @param {*} options.context Any contextual information that you want to record
+   *        about the ref being focused.
+   * @returns {FocusObject} The current focus object, once the item has been focused.
+   *
+   * @example Focusing the last item
+   * this.refManager.focusNthById('items', -1);
+   *
+   * @example Moving five items down
+   * this.refManager.focusNthById('items', 0, { offset: 5 });
+   */
+  focusNthById(collectionId, position, options = {}) {
+    const address = this._resolveAddress(collectionId);
+
+    if (address) {
+      return address.manager.focusNthById(address.collectionId, position, options);
+    }
+
+    const { offset, order, isFocusable = this._isFocusable, context } = options;
+
+    if (this._isVirtual(collectionId)) {
+      return this._focusNthInVirtualCollection(collectionId, position, { offset, context });
+    }
+
+    const refCollection = this._refs[collectionId] || {};
+
+    const ids = this.getOrderedIds(collectionId, order).filter((itemId) => {
+      const { ref } = refCollection[itemId];
+
+      return this._isInDOM(ref) && isFocusable(ref, itemId);
     });
+
+    const currentFocus = this.getCurrentFocus();
+    const currentIndex = currentFocus.collectionId === collectionId ? ids.indexOf(currentFocus.id) : -1;
+
+    const index = function(){
+      if (typeof offset === 'number' && currentIndex !== -1) {
+        return currentIndex + offset;
+      } else {
+        return position < 0 ? ids.length + position : position;
+      }
+    }();
+
+    const itemId = ids[Math.min(Math.max(index, 0), ids.length - 1)];
+
+    if (typeof itemId === 'undefined') {
+      return this._failFocus({ collectionId, context }, FocusFailureReason.NOT_REGISTERED);
+    }
+
+    return this.focusById(collectionId, itemId, { context });
+  }
+
+  _focusNextInVirtualCollection(collectionId, { direction = FocusDirection.RIGHT, context, collectionWidth = 1, yWrap = false, xWrap = false }) {
+    const { itemCount } = this._getCollectionOptions(collectionId).virtual;
+    const currentIndex = this._getVirtualFocusIndex(collectionId);
+
+    if (!itemCount) {
+      return this._failFocus({ collectionId, context }, FocusFailureReason.NOT_REGISTERED);
+    }
+
+    const isAtEdge = () => currentIndex !== -1 && isAtListEdge(
+      currentIndex,
+      getNextIndex(currentIndex, { direction, length: itemCount, collectionWidth, yWrap: false, xWrap: false }),
+      { direction, collectionWidth }
+    );
+
+    const linkedFocus = this._followLink(collectionId, direction, isAtEdge, context);
+
+    if (linkedFocus) {
+      return linkedFocus;
+    }
+
+    const index = function(){
+      if (currentIndex === -1) {
+        return direction === FocusDirection.LAST || direction === FocusDirection.ROW_END ? itemCount - 1 : 0;
+      } else {
+        return getNextIndex(currentIndex, { direction, length: itemCount, collectionWidth, yWrap, xWrap });
+      }
+    }();
+
+    return this._focusVirtualIndex(collectionId, index, context);
+  }
+
+  _focusNthInVirtualCollection(collectionId, position, { offset, context }) {
+    const { itemCount } = this._getCollectionOptions(collectionId).virtual;
+    const currentIndex = this._getVirtualFocusIndex(collectionId);
+
+    if (!itemCount) {
+      return this._failFocus({ collectionId, context }, FocusFailureReason.NOT_REGISTERED);
+    }
+
+    const index = function(){
+      if (typeof offset === 'number' && currentIndex !== -1) {
+        return currentIndex + offset;
+      } else {
+        return position < 0 ? itemCount + position : position;
+      }
+    }();
+
+    return this._focusVirtualIndex(collectionId, Math.min(Math.max(index, 0), itemCount - 1), context);
+  }
+
+  _getVirtualFocusIndex(collectionId) {
+
+    /**
+     * While an item is waiting to be rendered, it is treated as focused so that
+     * repeated key presses keep moving from it
+     */
+    const pendingFocus = this._pendingFocus;
+
+    if (pendingFocus && pendingFocus.collectionId === collectionId) {
+      return Number(pendingFocus.itemId);
+    }
+
+    const { collectionId: focusedCollectionId, id } = this.getCurrentFocus();
+
+    return focusedCollectionId === collectionId && typeof id !== 'undefined' ? Number(id) : -1;
+  }
+
+  _focusVirtualIndex(collectionId, index, context) {
+    const refObject = this._get(collectionId, index);
+
+    if (refObject && this._isInDOM(refObject.ref)) {
+      return this.focusById(collectionId, index, { context });
+    }
+
+    const { scrollToIndex } = this._getCollectionOptions(collectionId).virtual;
+    const pending = this.focusByIdWhenAvailable(collectionId, index, { context });
+
+    scrollToIndex(index);
+
+    return {
+      ref: null,
+      DOMRef: null,
+      id: index, collectionId, context,
+      applied: false,
+      pending
+    };
+  }
+
+  /**
+   * Focuses the ref nearest to the currently focused one, in a particular direction
+   * on the screen. Unlike focusNext(), the position of each ref is measured using
+   * getBoundingClientRect(), so it works for layouts of any shape and can move
+   * focus between collections.
+   *
+   * If no ref is currently focused, the first ref in the scope is focused. If
+   * there is no ref in the requested direction, the current ref stays focused.
+   *
+   * @param {FocusDirection} direction One of the FocusDirection values that
+   *        determines which direction to look for the next ref in.
+   * @param {Object.<String,*>} options Options hash to configure how the ref is focused.
+   * @param {Array.<String|Number>} options.scope The ids of the collections (and
+   *        singular refs) to consider. Defaults to all refs stored in the RefManager
+   *        instance.
+   * @param {*} options.context Any contextual information that you want to record
+   *        about the ref being focused.
+   * @returns {FocusObject} The current focus object, once the nearest ref has been
+   *        focused in the DOM and stored in the RefManager instance.
+   *
+   * @example
+   * this.refManager.focusInDirection(FocusDirection.DOWN, { scope: ['toolbar', 'items'] });
+   */
+  focusInDirection(direction, { scope = Object.keys(this._refs), context } = {}) {
+    const currentFocus = this.getCurrentFocus();
+    const currentDOMRef = this._isInDOM(currentFocus.DOMRef) ? this._getDOMNode(currentFocus.DOMRef) : null;
+
+    const candidates = this._getEntries(scope).reduce((memo, entry) => {
+      const DOMRef = this._getDOMNode(entry.ref);
+
+      if (!this._isInFocusScope(entry.collectionId) || !this._isInDOM(DOMRef) || DOMRef === currentDOMRef || !this._isFocusable(entry.ref, entry.id)) {
+        return memo;
+      }
+
+      const rect = this._adapter.getRect(DOMRef);
+
+      if (rect.width === 0 && rect.height === 0) {
+        return memo;
+      }
+
+      memo.push({ ...entry, rect });
+
+      return memo;
+    }, []);
+
+    const currentRect = currentDOMRef ? this._adapter.getRect(currentDOMRef) : null;
+
+    const nextEntry = function(){
+      if (currentRect) {
+        return getNearestInDirection(currentRect, candidates, direction);
+      } else {
+        return candidates[0];
+      }
+    }();
+
+    if (nextEntry) {
+      return this.focus(nextEntry.ref, { id: nextEntry.id, collectionId: nextEntry.collectionId, context });
+    } else {
+      return this.focus(currentDOMRef && currentFocus.ref, { id: currentFocus.id, collectionId: currentFocus.collectionId, context });
+    }
   }
 
   /**
-   * Focuses the next item in a collection of refs. If no item in a collection of refs
-   * is currently focused, the first item is focused. If the last item in the
-   * collection is already focused, the behaviour depends on the options.yWrap and
-   * options.xWrap
+   * Focuses the next item in a collection whose label starts with the text that
+   * has been typed (incremental search). Characters typed within options.timeout
+   * milliseconds of each other are combined into a single search. The search
+   * starts from the currently focused item and wraps around to the start of the
+   * collection. Typing the same character repeatedly cycles through the items
+   * that start with it.
    *
-   * @param {Object.<String|Number,ReactClassComponent>} refCollection The collection
-   *        of refs to iterate over.
-   * @param {Object.<String,*>} options Options hash to configure how the ref is focused.
-   * @param {FocusDirection=FocusDirection.RIGHT} options.direction One of the
-   *        FocusDirection values that determines in what direction the collection should
-   *        be iterated over.
-   * @param {Array.<String|Number>} options.indexes An array of the collection keys
-   *        that should be used to iterate over the collection items. The default value
-   *        is the full set of keys in the collection pointed to by the provided
-   *        collectionId, in the order that those items were added to the collection.
-   * @param {String|Number} options.collectionId The collectionId of the ref to be focused,
-   *        when it is an item in a collection of refs.
-   * @param {*} options.context Any contextual information that you want to record
-   *        about the ref being focused.
-   * @param {Number=1} options.collectionWidth number of items in each row of the
-   *        collection. Used for iterating over 2 dimensional lists (grids of items).
-   * @param {Boolean=false} options.yWrap whether to allow wrapping of the focused item
-   *        when the iteration reaches the top or bottom of the collection. i.e. If the
-   *        yWrap is false and the user iterates to the bottom of a grid and presses
-   *        down once more, the focus will not move. If yWrap is true, the same
-   *        situation will focus the item in the top row, in that same column.
-   * @param {Boolean=false} options.xWrap Similar to yWrap, but for wrapping around
-   *        rows, rather than columns.
-   * @returns {FocusObject} The current focus object, once the next item in a collection
-   *        has been focused in the DOM and stored in the RefManager instance.
+   * @param {String|Number} collectionId The collectionId of the collection to search
+   * @param {String} character The character that was typed
+   * @param {Object.<String,*>} options Options hash to configure the search
+   * @param {Function} options.getLabel Function called with each ref and its item id,
+   *        that returns the item's label. Defaults to the label passed to set(), or
+   *        the text content of the ref's element.
+   * @param {Number} options.timeout Number of milliseconds after which typed
+   *        characters start a new search. Defaults to 500.
+   * @returns {FocusObject} The current focus object, once the matching item has been
+   *        focused. Its context is the text that was searched for.
+   *
+   * @example
+   * handleKeyDown({ key }) {
+   *   if (key.length === 1) {
+   *     this.refManager.focusByTypeahead('options', key);
+   *   }
+   * }
    */
-  focusNext(refCollection, { direction = FocusDirection.RIGHT, indexes, collectionId, context, collectionWidth = 1, yWrap = false, xWrap = false }) {
+  focusByTypeahead(collectionId, character, { getLabel, timeout = 500 } = {}) {
+    const now = Date.now();
+    const previous = this._typeahead;
 
-    if (!refCollection) {
-      return {
-        ref: null,
-        DOMRef: null,
-        collectionId,
-        context,
-        applied: false
-      };
-    }
+    const query = function(){
+      if (previous && previous.collectionId === collectionId && now - previous.time < timeout) {
+        return previous.query + character;
+      } else {
+        return character;
+      }
+    }();
 
-    const currentFocus = this.getCurrentFocus();
+    this._typeahead = { collectionId, query, time: now };
 
-    const _indexes = indexes ? indexes : Object.keys(refCollection);
+    const normalizedQuery = query.toLowerCase();
+    const isRepeatedCharacter = normalizedQuery.split('').every((queryCharacter) => queryCharacter === normalizedQuery[0]);
+    const searchText = isRepeatedCharacter ? normalizedQuery[0] : normalizedQuery;
 
-    const stringifiedIndexes = _indexes.map((index) => index.toString());
+    const ids = this.getOrderedIds(collectionId);
+    const refCollection = this._refs[collectionId];
+    const { collectionId: currentCollectionId, id: currentId } = this.getCurrentFocus();
+
+    const currentIndex = currentCollectionId === collectionId ? ids.indexOf(currentId) : -1;
+
+    /**
+     * A new search (or one that cycles through items starting with the same
+     * character) starts after the current item, while a longer search may still
+     * match the current item
+     */
+    const startIndex = function(){
+      if (currentIndex === -1) {
+        return 0;
+      } else {
+        return isRepeatedCharacter ? currentIndex + 1 : currentIndex;
+      }
+    }();
 
-    const refIdsIndex = stringifiedIndexes.indexOf(typeof currentFocus.id !== 'undefined' && currentFocus.id.toString());
+    for (let steps = 0; steps < ids.length; steps++) {
+      const itemId = ids[(startIndex + steps) % ids.length];
+      const refObject = refCollection[itemId];
 
-    if (currentFocus.collectionId !== collectionId || refIdsIndex === -1) {
-      const firstRefId = _indexes[0];
-      const firstRefObject = this._get(collectionId, firstRefId);
+      if (this._isInDOM(refObject.ref) && this._isFocusable(refObject.ref, itemId)) {
+        const label = this._getTypeaheadLabel(refObject, getLabel).trim();
 
-      return this.focus(firstRefObject && firstRefObject.ref, { id: firstRefObject && firstRefObject.key, collectionId, context });
-    } else {
+        if (label.toLowerCase().startsWith(searchText)) {
+          return this.focus(refObject.ref, { id: itemId, collectionId, context: query });
+        }
+      }
+    }
 
-      const nextRefId = function(){
-        if (direction === FocusDirection.LEFT) {
-          const nextRefIndex = refIdsIndex - 1;
+    return this._failFocus({ collectionId, context: query }, FocusFailureReason.NOT_REGISTERED);
+  }
 
-          if (nextRefIndex >= 0) {
-            return _indexes[nextRefIndex];
-          } else {
-            if (xWrap) {
-              return _indexes[_indexes.length - 1];
-            } else {
-              return _indexes[0];
-            }
-          }
+  _getTypeaheadLabel({ ref, key, label }, getLabel) {
+    if (getLabel) {
+      return String(getLabel(ref, key) || '');
+    }
 
-        } else if (direction === FocusDirection.RIGHT) {
+    if (typeof label === 'string') {
+      return label;
+    }
 
-          const nextRefIndex = refIdsIndex + 1;
+    const DOMRef = this._getDOMNode(ref);
 
-          if (nextRefIndex < _indexes.length) {
-            return _indexes[nextRefIndex];
-          } else {
-            if (xWrap) {
-              return _indexes[0];
-            } else {
-              return _indexes[_indexes.length - 1];
-            }
-          }
+    return DOMRef ? this._adapter.getText(DOMRef) : '';
+  }
+
+  /**
+   * Attaches a keydown listener to an element that moves focus through a collection
+   * when the arrow, Home, End, PageUp and PageDown keys are pressed. When the
+   * element is right-to-left (dir="rtl"), the left and right arrow keys are swapped.
+   *
+   * Key presses with a modifier key (Alt, Ctrl, Meta or Shift) are ignored, and
+   * preventDefault() is only called when the focus actually moves.
+   *
+   * @param {Element} element The element to listen to keydown events on
+   * @param {String|Number} collectionId The collectionId of the collection to move
+   *        focus through
+   * @param {Object.<String,*>} options Options hash to configure the key bindings.
+   *        Any options not listed here (collectionWidth, xWrap, yWrap etc) are
+   *        passed to focusNextById().
+   * @param {String} options.orientation Which arrow keys to bind: 'vertical' (up
+   *        and down, the default), 'horizontal' (left and right) or 'grid' (all).
+   * @param {Object.<String,FocusDirection|Function|null>} options.keymap Key bindings
+   *        that are merged with the default ones, using KeyboardEvent.key values as
+   *        keys. Values can be a FocusDirection, a function that is called with the
+   *        event and returns a focus object, or null to remove a default binding.
+   * @param {Number} options.pageSize The number of items PageUp and PageDown
+   *        move the focus by. Defaults to 10.
+   * @returns {Function} Function that removes the keydown listener again
+   *
+   * @example
+   * componentDidMount() {
+   *   this.unbindKeys = this.refManager.bindKeyboardNavigation(this.listElement, 'items');
+   * }
+   *
+   * componentWillUnmount() {
+   *   this.unbindKeys();
+   * }
+   */
+  bindKeyboardNavigation(element, collectionId, { orientation = 'vertical', keymap = {}, pageSize = 10, ...focusOptions } = {}) {
+    const _keymap = {
+      ...this._getDefaultKeymap(collectionId, { orientation, pageSize, ...focusOptions }),
+      ...keymap
+    };
 
-        } else if (direction === FocusDirection.UP) {
-          const nextRefIndex = refIdsIndex - collectionWidth;
+    const handleKeyDown = (event) => {
+      const action = _keymap[event.key];
 
-          if (nextRefIndex >= 0) {
-            return _indexes[nextRefIndex];
-          } else {
-            if (yWrap) {
-              return _indexes[_indexes.length - 1];
-            } else {
-              return _indexes[0];
-            }
-          }
+      if (!action || event.altKey || event.ctrlKey || event.metaKey || event.shiftKey) {
+        return;
+      }
 
-        } else if (direction === FocusDirection.DOWN) {
+      const previousFocus = this.getCurrentFocus();
 
-          const nextRefIndex = refIdsIndex + collectionWidth;
+      const direction = this._getKeymapDirection(action, element);
+      const focusObject = typeof action === 'function' ? action(event) : this.focusNextById(collectionId, { ...focusOptions, direction });
 
-          if (nextRefIndex < _indexes.length) {
-            return _indexes[nextRefIndex];
-          } else {
-            if (yWrap) {
-              return _indexes[0];
-            } else {
-              return _indexes[_indexes.length - collectionWidth];
-            }
-          }
-        }
-      }();
+      const moved = !!focusObject && (focusObject.applied || !!focusObject.pending) && (
+        focusObject.collectionId !== previousFocus.collectionId || focusObject.id !== previousFocus.id
+      );
+
+      if (moved) {
+        event.preventDefault();
+      }
+    };
+
+    element.addEventListener('keydown', handleKeyDown);
 
-      const nextRefObject = refCollection[nextRefId];
+    return () => element.removeEventListener('keydown', handleKeyDown);
+  }
+
+  _getKeymapDirection(direction, element) {
+    if (this._adapter.isRTL(element) && direction === FocusDirection.LEFT) {
+      return FocusDirection.RIGHT;
+    } else if (this._adapter.isRTL(element) && direction === FocusDirection.RIGHT) {
+      return FocusDirection.LEFT;
+    } else {
+      return direction;
+    }
+  }
+
+  _getDefaultKeymap(collectionId, { orientation, pageSize, ...focusOptions }) {
+    const keymap = {
+      Home: FocusDirection.FIRST,
+      End: FocusDirection.LAST,
+      PageUp: () => this.focusNthById(collectionId, 0, { ...focusOptions, offset: -pageSize }),
+      PageDown: () => this.focusNthById(collectionId, 0, { ...focusOptions, offset: pageSize })
+    };
+
+    if (orientation !== 'horizontal') {
+      keymap.ArrowUp = FocusDirection.UP;
+      keymap.ArrowDown = FocusDirection.DOWN;
+    }
 
-      return this.focus(nextRefObject && nextRefObject.ref, { id: nextRefObject && nextRefObject.key, collectionId, context });
+    if (orientation !== 'vertical') {
+      keymap.ArrowLeft = FocusDirection.LEFT;
+      keymap.ArrowRight = FocusDirection.RIGHT;
     }
+
+    return keymap;
   }
 
   /**
@@ -528,25 +3131,51 @@ class RefManager {
    * When the ref is a custom React component that doesn't define a scrollIntoView method,
    * it's backing DOM element ref will be located, and that will be used to scroll to.
    *
+   * When any of the container, offset or ifNeeded options are used, the ref's
+   * scroll container is scrolled directly. Otherwise, the options are passed
+   * straight to scrollIntoView.
+   *
    * @param {String|Number} collectionId The collectionId of the ref to be scrolled to,
    *        when it is an item in a collection of refs.
    * @param {String|Number|Object|Boolean} itemIdOrOptions The item id of a ref to
-   *        scroll to, if it is in a collection. If not, this is the options parameter
-   *        that is passed straight to scrollIntoView.
-   * @param {Object|boolean} options Options passed straight to scrollIntoView.
-   * @returns {ScrollObject} Status of the scroll event
+   *        scroll to, if it is in a collection. If not, this is the options parameter.
+   * @param {Object|boolean} options Options hash to configure how the ref is scrolled
+   *        to, or a boolean that is passed straight to scrollIntoView.
+   * @param {Element|ReactClassComponent} options.container The element to scroll.
+   *        Defaults to the ref's nearest scrollable ancestor, or the document.
+   * @param {{top: Number, bottom: Number}} options.offset The number of pixels at the
+   *        top and bottom of the container that the ref should not be scrolled
+   *        under, such as the height of sticky headers.
+   * @param {Boolean} options.ifNeeded Whether to only scroll when the ref is not
+   *        completely visible, by the smallest amount needed. Defaults to true when
+   *        the container or offset options are used. When false, the ref is
+   *        aligned to the top of the container.
+   * @param {String} options.behavior 'auto' or 'smooth'
+   * @returns {Promise.<ScrollObject>} Promise that resolves with the status of the
+   *          scroll event, once scrolling has settled. The ScrollObject's applied
+   *          attribute is false when nothing needed to move.
    *
    * @example
    * refManager.scrollToById('toolbar');
    *
+   * @example Scrolling below a sticky header
+   * refManager.scrollToById('items', id, { offset: { top: 64 }, ifNeeded: true, behavior: 'smooth' })
+   *   .then(({ applied }) => ...);
+   *
    * @see {@link https://developer.mozilla.org/en-US/docs/Web/API/Element/scrollIntoView}
    */
   scrollToById(collectionId, itemIdOrOptions = NotProvided, options = NotProvided) {
+    const address = this._resolveAddress(collectionId);
+
+    if (address) {
+      return address.manager.scrollToById(address.collectionId, itemIdOrOptions, options);
+    }
+
     const [_itemId, _options] = function(){
       if (options === NotProvided) {
         if (itemIdOrOptions === NotProvided) {
           return [NotProvided, NotProvided];
-        } else if (typeof itemIdOrOptions === 'string') {
+        } else if (typeof itemIdOrOptions === 'string' || typeof itemIdOrOptions === 'number') {
           return [ itemIdOrOptions, NotProvided];
         } else {
           return [ NotProvided, itemIdOrOptions ]
@@ -559,55 +3188,68 @@ class RefManager {
     const refObject = this._get(collectionId, _itemId);
 
     if (refObject) {
-      const scrolledToRef = this.constructor.scrollTo(refObject.ref, _options);
-
-      return {
-        id: refObject.key, collectionId,
-        ref: refObject.ref,
-        DOMRef: scrolledToRef,
-        applied: !!scrolledToRef
-      };
-
+      return this._scrollTo(refObject.ref, { id: refObject.key, collectionId, ref: refObject.ref }, _options);
     } else {
-      return {
+      return Promise.resolve({
         id: _itemId, collectionId,
         ref: null,
         DOMRef: null,
         applied: false
-      };
+      });
     }
   }
 
   /**
    * Scrolls to the ref that was last focused, if there is one.
    *
-   * @param {Object|boolean} options Options passed straight to scrollIntoView.
-   * @returns {ScrollObject} Status of the scroll event
+   * @param {Object|boolean} options Options hash to configure how the ref is scrolled
+   *        to. Accepts the same options as scrollToById().
+   * @returns {Promise.<ScrollObject>} Promise that resolves with the status of the
+   *          scroll event, once scrolling has settled.
    *
    * @see {@link https://developer.mozilla.org/en-US/docs/Web/API/Element/scrollIntoView}
    */
   scrollToFocused(options = NotProvided) {
-    let currentFocusRef = this.getCurrentFocus();
+    const { id, collectionId, ref, DOMRef } = this.getCurrentFocus();
 
-    if (currentFocusRef) {
-      const scrolledToRef = this.constructor.scrollTo(currentFocusRef.DOMRef, options);
+    return this._scrollTo(DOMRef, { id, collectionId, ref }, options);
+  }
 
-      return {
-        id: currentFocusRef.id,
-        collectionId: currentFocusRef.collectionId,
-        ref: currentFocusRef.ref,
-        DOMRef: scrolledToRef,
-        applied: !!scrolledToRef
-      };
-    } else {
-      return {
-        id: currentFocusRef.id,
-        collectionId: currentFocusRef.collectionId,
-        ref: null,
+  _scrollTo(target, { id, collectionId, ref }, options) {
+    const DOMRef = target ? this._getDOMNode(target) : null;
+
+    if (!DOMRef || !this._isInDOM(DOMRef)) {
+      return Promise.resolve({
+        id, collectionId,
+        ref: ref || null,
         DOMRef: null,
         applied: false
-      };
+      });
+    }
+
+    const startRect = this._adapter.getRect(DOMRef);
+
+    let scrolled = NotProvided;
+
+    if (options && (options.container || options.offset || typeof options.ifNeeded !== 'undefined')) {
+      const container = options.container ? this._getDOMNode(options.container) : this._adapter.getScrollContainer(DOMRef);
+
+      scrolled = this._adapter.scrollIntoContainer(DOMRef, container, options);
+    } else {
+      this.constructor.scrollTo(target, options, this._adapter);
     }
+
+    return waitForScrollEnd(DOMRef, startRect, this._adapter).then((moved) => {
+      const scrollObject = {
+        id, collectionId, ref,
+        DOMRef,
+        applied: scrolled === NotProvided ? moved : scrolled
+      };
+
+      this._emit(RefManagerEvent.SCROLL, scrollObject);
+
+      return scrollObject;
+    });
   }
 
   /**
@@ -615,7 +3257,9 @@ class RefManager {
    * through the RefManager instance.
    *
    * The function is called with the previous focus object and the current
-   * focus object as its first and second arguments.
+   * focus object as its first and second arguments. The listener is also called
+   * when the focus of one of the instance's children changes: the third argument
+   * is the RefManager instance whose focus changed.
    *
    * @param {Function} listener A listener function to be called every time the
    *        RefManager changes the focus.
@@ -633,14 +3277,328 @@ class RefManager {
    * @param {Function} listener The listener function to remove.
    */
   removeFocusChangeListener(listener) {
-    const listenerIndex = this._focusListeners.indexOf(listener);
+    this._focusListeners = this._focusListeners.filter((focusListener) => focusListener !== listener);
+  }
+
+  /**
+   * Adds a listener function to be called before a ref is focused through the
+   * RefManager instance, that can veto the focus change or redirect it to
+   * another ref.
+   *
+   * The function is called with the current focus object and an object with the
+   * ref, id, collectionId and context of the ref that is about to be focused. It
+   * can return false to veto the focus change, or an object with a collectionId,
+   * id and (optionally) context to focus a different ref instead. Any other
+   * return value lets the focus change continue.
+   *
+   * @param {Function} listener A listener function to be called before the
+   *        RefManager changes the focus.
+   * @returns {Function} The listener function passed as the first argument.
+   *
+   * @example Blocking leaving a row with unsaved changes
+   * this.refManager.addBeforeFocusChangeListener((currentFocus, nextFocus) => {
+   *   if (currentFocus.collectionId === 'rows' && this.state.unsavedChanges) {
+   *     return false;
+   *   }
+   * });
+   */
+  addBeforeFocusChangeListener(listener) {
+    this._beforeFocusListeners.push(listener);
+
+    return listener;
+  }
+
+  /**
+   * Removes a listener that has been previously registered with
+   * addBeforeFocusChangeListener().
+   *
+   * @param {Function} listener The listener function to remove.
+   * @returns {void}
+   */
+  removeBeforeFocusChangeListener(listener) {
+    this._beforeFocusListeners = this._beforeFocusListeners.filter((beforeFocusListener) => beforeFocusListener !== listener);
+  }
+
+  /**
+   * Adds a listener function to be called every time an event of a particular
+   * type occurs in the RefManager instance or any of its children:
+   *
+   * - RefManagerEvent.REGISTER: A ref was stored using set(). The event has
+   *   collectionId, id and ref attributes.
+   * - RefManagerEvent.UNREGISTER: A ref was removed. The event has collectionId
+   *   and id attributes.
+   * - RefManagerEvent.FOCUS_FAIL: A ref could not be focused. The event has
+   *   collectionId, id, context and reason (a FocusFailureReason) attributes.
+   * - RefManagerEvent.SCROLL: Scrolling to a ref has settled. The event is the
+   *   ScrollObject.
+   *
+   * The function is called with the event and the RefManager instance it
+   * occurred in. Exceptions thrown by listeners do not stop other listeners
+   * from being called.
+   *
+   * @param {RefManagerEvent} type The type of event to listen to
+   * @param {Function} listener A listener function to be called every time an
+   *        event of the type occurs.
+   * @returns {Function} The listener function passed as the second argument.
+   *
+   * @example
+   * this.refManager.addEventListener(RefManagerEvent.FOCUS_FAIL, ({ id, reason }) => {
+   *   console.warn(`Could not focus ${id}: ${reason}`);
+   * });
+   */
+  addEventListener(type, listener) {
+    this._eventListeners[type] = [...(this._eventListeners[type] || []), listener];
+
+    return listener;
+  }
+
+  /**
+   * Removes a listener that has been previously registered with addEventListener().
+   *
+   * @param {RefManagerEvent} type The type of event the listener was added for
+   * @param {Function} listener The listener function to remove.
+   * @returns {void}
+   */
+  removeEventListener(type, listener) {
+    this._eventListeners[type] = (this._eventListeners[type] || []).filter((eventListener) => eventListener !== listener);
+  }
+
+  _emit(type, event, manager = this) {
+    callListeners(this._eventListeners[type] || [], [event, manager]);
+
+    if (this._parent) {
+      this._parent._emit(type, event, manager);
+    }
+  }
+
+  /**
+   * Selects a single item in a collection, replacing any existing selection. The
+   * item becomes the anchor for range selections.
+   *
+   * @param {String|Number} collectionId The collectionId of the collection
+   * @param {String|Number} itemId The id of the item to select
+   * @returns {Array.<String|Number>} The ids of the selected items
+   *
+   * @example Selecting an item when it is clicked
+   * this.refManager.select('items', index);
+   */
+  select(collectionId, itemId) {
+    return this._setSelection(collectionId, [ itemId ], itemId);
+  }
+
+  /**
+   * Adds an item to the selection of a collection, or removes it if it is already
+   * selected. The item becomes the anchor for range selections.
+   *
+   * @param {String|Number} collectionId The collectionId of the collection
+   * @param {String|Number} itemId The id of the item to toggle
+   * @returns {Array.<String|Number>} The ids of the selected items
+   *
+   * @example Toggling an item when it is clicked with Ctrl or Cmd pressed
+   * this.refManager.toggleSelect('items', index);
+   */
+  toggleSelect(collectionId, itemId) {
+    const selection = this.getSelection(collectionId);
+
+    if (this.isSelected(collectionId, itemId)) {
+      return this._setSelection(collectionId, selection.filter((selectedId) => String(selectedId) !== String(itemId)), itemId);
+    } else {
+      return this._setSelection(collectionId, [ ...selection, itemId ], itemId);
+    }
+  }
+
+  /**
+   * Selects all of the items between (and including) two items in a collection,
+   * replacing any existing selection. The items are ordered the same way as they
+   * are by focusNext(), so that focus and selection agree on which item is next.
+   *
+   * @param {String|Number} collectionId The collectionId of the collection
+   * @param {String|Number} anchorId The id of the item the range starts at. This
+   *        becomes the anchor for future range selections.
+   * @param {String|Number} toId The id of the item the range ends at
+   * @param {Object.<String,*>} options Options hash
+   * @param {Array.<String|Number>} options.indexes The collection keys, in the order
+   *        they should be selected. See focusNext().
+   * @param {String|Function} options.order The order of the collection's items,
+   *        when options.indexes is not provided. See registerCollection().
+   * @returns {Array.<String|Number>} The ids of the selected items
+   *
+   * @example Selecting a range when an item is clicked with Shift pressed
+   * this.refManager.selectRange('items', this.refManager.getSelectionAnchor('items'), index);
+   */
+  selectRange(collectionId, anchorId, toId, options = {}) {
+    const ids = this._getSelectableIds(collectionId, options);
+    const stringifiedIds = ids.map((itemId) => String(itemId));
+
+    const anchorIndex = stringifiedIds.indexOf(String(anchorId));
+    const toIndex = stringifiedIds.indexOf(String(toId));
+
+    if (anchorIndex === -1 || toIndex === -1) {
+      return this.select(collectionId, toId);
+    }
+
+    const range = ids.slice(Math.min(anchorIndex, toIndex), Math.max(anchorIndex, toIndex) + 1);
+
+    return this._setSelection(collectionId, range, ids[anchorIndex]);
+  }
+
+  /**
+   * Moves focus to the next item in a collection using focusNextById(), and
+   * selects the range of items between the selection anchor and the newly
+   * focused item (e.g. for Shift + arrow keys). When the collection has no
+   * selection anchor, the currently focused item is used.
+   *
+   * @param {String|Number} collectionId The collectionId of the collection
+   * @param {FocusDirection} direction The direction to move the focus in
+   * @param {Object.<String,*>} options Options hash that is passed to focusNextById()
+   *        (collectionWidth, xWrap, yWrap, indexes, order etc).
+   * @returns {FocusObject} The current focus object, once the next item has been focused
+   *
+   * @example
+   * if (event.shiftKey && event.key === 'ArrowDown') {
+   *   this.refManager.extendSelection('items', FocusDirection.DOWN);
+   * }
+   */
+  extendSelection(collectionId, direction, options = {}) {
+    const currentFocus = this.getCurrentFocus();
+
+    const anchorId = function(selection){
+      if (selection && typeof selection.anchorId !== 'undefined') {
+        return selection.anchorId;
+      } else {
+        return currentFocus.collectionId === collectionId ? currentFocus.id : NotProvided;
+      }
+    }(this._selections[collectionId]);
+
+    const focusObject = this.focusNextById(collectionId, { ...options, direction });
+
+    if (focusObject.applied) {
+      if (anchorId === NotProvided) {
+        this.select(collectionId, focusObject.id);
+      } else {
+        this.selectRange(collectionId, anchorId, focusObject.id, options);
+      }
+    }
+
+    return focusObject;
+  }
+
+  /**
+   * Selects all of the items in a collection (e.g. for Ctrl + A)
+   *
+   * @param {String|Number} collectionId The collectionId of the collection
+   * @param {Object.<String,*>} options Options hash
+   * @param {Array.<String|Number>} options.indexes The collection keys to select.
+   * @param {String|Function} options.order The order of the collection's items.
+   * @returns {Array.<String|Number>} The ids of the selected items
+   */
+  selectAll(collectionId, options = {}) {
+    const ids = this._getSelectableIds(collectionId, options);
+    const selection = this._selections[collectionId];
+
+    return this._setSelection(collectionId, ids, selection ? selection.anchorId : ids[0]);
+  }
+
+  /**
+   * Removes all items from the selection of a collection
+   *
+   * @param {String|Number} collectionId The collectionId of the collection
+   * @returns {Array.<String|Number>} The ids of the selected items (an empty list)
+   */
+  clearSelection(collectionId) {
+    return this._setSelection(collectionId, [], NotProvided);
+  }
+
+  /**
+   * Returns the ids of the selected items in a collection
+   *
+   * @param {String|Number} collectionId The collectionId of the collection
+   * @returns {Array.<String|Number>} The ids of the selected items
+   */
+  getSelection(collectionId) {
+    const selection = this._selections[collectionId];
+
+    return selection ? [ ...selection.ids ] : [];
+  }
+
+  /**
+   * Returns the id of the item that range selections in a collection start from
+   *
+   * @param {String|Number} collectionId The collectionId of the collection
+   * @returns {String|Number|undefined} The id of the anchor item, or undefined when
+   *          nothing has been selected
+   */
+  getSelectionAnchor(collectionId) {
+    const selection = this._selections[collectionId];
 
-    if (listenerIndex !== -1) {
-      this._focusListeners = [
-        ...this._focusListeners.splice(0, listenerIndex),
-        ...this._focusListeners.splice(listenerIndex + 1)
-      ];
+    return selection && selection.anchorId;
+  }
+
+  /**
+   * Returns whether an item in a collection is selected
+   *
+   * @param {String|Number} collectionId The collectionId of the collection
+   * @param {String|Number} itemId The id of the item
+   * @returns {boolean} Whether the item is selected
+   */
+  isSelected(collectionId, itemId) {
+    return this.getSelection(collectionId).some((selectedId) => String(selectedId) === String(itemId));
+  }
+
+  /**
+   * Adds a listener function to be called every time the selection of a collection
+   * changes.
+   *
+   * The function is called with the collectionId, the ids of the previously
+   * selected items and the ids of the currently selected items.
+   *
+   * @param {Function} listener A listener function to be called every time a
+   *        selection changes.
+   * @returns {Function} The listener function passed as the first argument.
+   */
+  addSelectionChangeListener(listener) {
+    this._selectionListeners.push(listener);
+
+    return listener;
+  }
+
+  /**
+   * Removes a selection change listener that has been previously registered
+   * with addSelectionChangeListener().
+   *
+   * @param {Function} listener The listener function to remove.
+   * @returns {void}
+   */
+  removeSelectionChangeListener(listener) {
+    this._selectionListeners = this._selectionListeners.filter((selectionListener) => selectionListener !== listener);
+  }
+
+  _getSelectableIds(collectionId, { indexes, order = this._getCollectionOptions(collectionId).order }) {
+    return indexes ? indexes : this.getOrderedIds(collectionId, order);
+  }
+
+  _setSelection(collectionId, ids, anchorId) {
+    const previousSelection = this.getSelection(collectionId);
+
+    if (ids.length === 0) {
+      Reflect.deleteProperty(this._selections, collectionId);
+    } else {
+      this._selections[collectionId] = {
+        ids,
+        anchorId: anchorId === NotProvided ? ids[0] : anchorId
+      };
+    }
+
+    const selection = this.getSelection(collectionId);
+
+    const changed = previousSelection.length !== selection.length ||
+      previousSelection.some((selectedId, index) => String(selectedId) !== String(selection[index]));
+
+    if (changed) {
+      callListeners(this._selectionListeners, [collectionId, previousSelection, selection]);
     }
+
+    return selection;
   }
 }
 
@@ -0,0 +1,9 @@
+import React from 'react';
+
+/**
+ * @typedef {Object} RefManagerContext React context used to share a single
+ * RefManager instance with all of the components below a RefManagerProvider.
+ */
+const RefManagerContext = React.createContext(null);
+
+export default RefManagerContext;
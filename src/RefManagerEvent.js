@@ -0,0 +1,15 @@
+/**
+ * @typedef {{REGISTER: string, UNREGISTER: string, FOCUS_FAIL: string, SCROLL: string}} RefManagerEvent
+ * Constants used to indicate the types of events that can be listened to using
+ * addEventListener(). REGISTER and UNREGISTER are emitted when refs are stored
+ * using set() and removed again, FOCUS_FAIL when a ref could not be focused and
+ * SCROLL when scrolling to a ref has settled.
+ */
+const RefManagerEvent = {
+  REGISTER: 'register',
+  UNREGISTER: 'unregister',
+  FOCUS_FAIL: 'focusfail',
+  SCROLL: 'scroll'
+};
+
+export default RefManagerEvent;
@@ -0,0 +1,28 @@
+import React, { useState } from 'react';
+import RefManagerContext from './RefManagerContext';
+import RefManager from './RefManager';
+
+/**
+ * Component that shares a single RefManager instance with all of the components
+ * rendered below it, which can access it using the useRefManager() hook.
+ *
+ * @param {Object.<String,*>} props The component's props
+ * @param {RefManager} props.manager (Optional) RefManager instance to share. When
+ *        it is not provided, a new instance is created when the provider mounts.
+ * @param {Object.<String,*>} props.options (Optional) Options used to create the
+ *        RefManager instance, when props.manager is not provided.
+ * @param {*} props.children The elements to render inside the provider
+ * @returns {ReactElement} The context provider element
+ *
+ * @example
+ * <RefManagerProvider>
+ *   <App />
+ * </RefManagerProvider>
+ */
+function RefManagerProvider({ manager, options, children }) {
+  const [ ownManager ] = useState(() => manager || new RefManager(options));
+
+  return React.createElement(RefManagerContext.Provider, { value: manager || ownManager }, children);
+}
+
+export default RefManagerProvider;
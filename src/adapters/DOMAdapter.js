@@ -0,0 +1,180 @@
+import defaultIsFocusable from '../utils/isFocusable';
+import isRTL from '../utils/isRTL';
+import getScrollContainer from '../utils/getScrollContainer';
+import scrollIntoContainer from '../utils/scrollIntoContainer';
+
+/**
+ * Adapter that RefManager instances use to work with the elements that refs point
+ * to, when those refs are always elements in the DOM (or ref objects that contain
+ * them). Unlike ReactDOMAdapter, it never calls ReactDOM.findDOMNode(), so it
+ * does not trigger warnings in StrictMode.
+ *
+ * An adapter is an object with the following methods, which are passed refs that
+ * have already been resolved from ref objects:
+ *   - getNode(ref): Returns the node the ref renders, or null
+ *   - isAttached(node): Returns whether the node is mounted
+ *   - focus(ref): Focuses the ref and returns the node (or ref) that was focused,
+ *     or null when it could not be focused
+ *   - scrollIntoView(ref, options): Scrolls the ref into view and returns the node
+ *     (or ref) that was scrolled to, or null when it could not be found. options
+ *     is undefined when none were provided.
+ *   - getActiveElement(node): Returns the node that currently has focus in the
+ *     document the node belongs to
+ *   - getParent(node): Returns the node's parent, or null
+ *   - getRect(node): Returns the node's bounding rectangle, relative to the viewport
+ *   - getText(node): Returns the node's text content
+ *   - setAttribute(node, name, value) and removeAttribute(node, name): Change the
+ *     node's attributes
+ *   - getId(node) and setId(node, id): Read and change the node's id
+ *   - setTabIndex(node, tabIndex): Changes the node's tab index
+ *   - addClass(node, className) and removeClass(node, className): Change the
+ *     node's class names
+ *   - compareDocumentPosition(node, otherNode): Returns a negative number when the
+ *     node comes before the other node, a positive number when it comes after it
+ *     and 0 when they are the same node (or are both detached). Detached nodes
+ *     come after attached ones.
+ *   - requestFrame(callback): Calls the callback before the next repaint
+ *   - isFocusable(node): Returns whether the node can be focused (see isFocusable)
+ *   - isRTL(node): Returns whether the node's content is laid out right-to-left
+ *   - getScrollContainer(node): Returns the node's nearest scrollable ancestor, or
+ *     null when it is only scrolled by the document
+ *   - scrollIntoContainer(node, container, options): Scrolls the container (or the
+ *     document, when container is null) so the node is completely visible, and
+ *     returns whether it needed to be scrolled. Accepts the options of
+ *     scrollIntoContainer().
+ *
+ * Custom adapters can spread DOMAdapter and override only the methods they need.
+ *
+ * @example
+ * const refManager = new RefManager({ adapter: DOMAdapter });
+ */
+const DOMAdapter = {
+  getNode(ref) {
+    return ref && ref.nodeType ? ref : null;
+  },
+
+  isAttached(node) {
+    return !!node && !!node.parentNode && node.ownerDocument.contains(node);
+  },
+
+  focus(ref) {
+    if (!ref || !ref.focus) {
+      return null;
+    }
+
+    ref.focus();
+
+    return ref;
+  },
+
+  scrollIntoView(ref, options) {
+    if (!ref || !ref.scrollIntoView) {
+      return null;
+    }
+
+    if (typeof options === 'undefined') {
+      ref.scrollIntoView();
+    } else {
+      ref.scrollIntoView(options);
+    }
+
+    return ref;
+  },
+
+  getActiveElement(node) {
+    return (node && node.ownerDocument ? node.ownerDocument : document).activeElement;
+  },
+
+  getParent(node) {
+    return node.parentNode;
+  },
+
+  getRect(node) {
+    return node.getBoundingClientRect();
+  },
+
+  getText(node) {
+    return node.textContent || '';
+  },
+
+  setAttribute(node, name, value) {
+    node.setAttribute(name, value);
+  },
+
+  removeAttribute(node, name) {
+    node.removeAttribute(name);
+  },
+
+  getId(node) {
+    return node.id;
+  },
+
+  setId(node, id) {
+    node.id = id;
+  },
+
+  setTabIndex(node, tabIndex) {
+    node.tabIndex = tabIndex;
+  },
+
+  addClass(node, className) {
+    node.classList.add(className);
+  },
+
+  removeClass(node, className) {
+    node.classList.remove(className);
+  },
+
+  compareDocumentPosition(node, otherNode) {
+    if (node === otherNode) {
+      return 0;
+    }
+
+    const isAttached = this.isAttached(node);
+
+    /**
+     * Nodes that are not in a document have no position, so they come after the
+     * ones that are
+     */
+    if (isAttached !== this.isAttached(otherNode)) {
+      return isAttached ? -1 : 1;
+    }
+
+    if (!isAttached) {
+      return 0;
+    }
+
+    /**
+     * The bitmask may have other flags set (e.g. DOCUMENT_POSITION_CONTAINED_BY for
+     * descendants, which therefore come after their ancestors), so only the
+     * DOCUMENT_POSITION_FOLLOWING bit is read
+     */
+    const position = node.compareDocumentPosition(otherNode);
+
+    return Math.floor(position / node.DOCUMENT_POSITION_FOLLOWING) % 2 === 1 ? -1 : 1;
+  },
+
+  requestFrame(callback) {
+    window.requestAnimationFrame(callback);
+  },
+
+  isFocusable(node) {
+    return defaultIsFocusable(node);
+  },
+
+  isRTL(node) {
+    return isRTL(node);
+  },
+
+  getScrollContainer(node) {
+    return getScrollContainer(node);
+  },
+
+  scrollIntoContainer(node, container, options) {
+    const { scrollingElement, documentElement } = node.ownerDocument;
+
+    return scrollIntoContainer(node, container || scrollingElement || documentElement, options);
+  }
+};
+
+export default DOMAdapter;
@@ -0,0 +1,77 @@
+import ReactDOM from 'react-dom';
+import DOMAdapter from './DOMAdapter';
+
+/**
+ * The default adapter used by RefManager instances. It behaves like DOMAdapter,
+ * but also accepts refs to custom React components, using ReactDOM.findDOMNode()
+ * to find their backing elements in the DOM when they don't define their own
+ * focus() or scrollIntoView() methods.
+ */
+const ReactDOMAdapter = {
+  ...DOMAdapter,
+
+  getNode(ref) {
+    if (!ref) {
+      return null;
+    }
+
+    if (ref.nodeType) {
+      return ref;
+    }
+
+    try {
+      return ReactDOM.findDOMNode(ref);
+    } catch (error) {
+
+      /**
+       * ReactDOM.findDOMNode() throws when called with a component that has been
+       * unmounted
+       */
+      return null;
+    }
+  },
+
+  focus(ref) {
+    if (!ref) {
+      return null;
+    }
+
+    if (ref.focus) {
+      ref.focus();
+
+      return ref;
+    }
+
+    const DOMRef = this.getNode(ref);
+
+    if (DOMRef && !!DOMRef.parentNode) {
+      DOMRef.focus();
+
+      return DOMRef;
+    } else {
+      return null;
+    }
+  },
+
+  scrollIntoView(ref, options) {
+    if (!ref) {
+      return null;
+    }
+
+    if (ref.scrollIntoView) {
+      return DOMAdapter.scrollIntoView(ref, options);
+    }
+
+    const DOMRef = this.getNode(ref);
+
+    if (DOMRef && !!DOMRef.parentNode) {
+      DOMRef.scrollIntoView(typeof options === 'undefined' ? false : options);
+
+      return DOMRef;
+    } else {
+      return null;
+    }
+  }
+};
+
+export default ReactDOMAdapter;
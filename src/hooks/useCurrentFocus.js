@@ -0,0 +1,34 @@
+import { useEffect, useState } from 'react';
+import useRefManager from './useRefManager';
+
+/**
+ * Returns the current focus object of the shared RefManager instance, and
+ * re-renders the component every time it changes.
+ *
+ * @returns {{}|FocusObject} The current focus object, or an empty object.
+ *
+ * @example
+ * const { collectionId, id } = useCurrentFocus();
+ * const isFocused = collectionId === 'items' && id === index;
+ */
+function useCurrentFocus() {
+  const refManager = useRefManager();
+  const [ focus, setFocus ] = useState(() => refManager.getCurrentFocus());
+
+  useEffect(() => {
+    const listener = refManager.addFocusChangeListener((previousFocus, nextFocus) => {
+      setFocus(nextFocus);
+    });
+
+    /**
+     * The focus may have changed between rendering and the listener being added
+     */
+    setFocus(refManager.getCurrentFocus());
+
+    return () => refManager.removeFocusChangeListener(listener);
+  }, [ refManager ]);
+
+  return focus;
+}
+
+export default useCurrentFocus;
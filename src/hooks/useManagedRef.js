@@ -0,0 +1,35 @@
+import { useCallback } from 'react';
+import NotProvided from '../utils/NotProvided';
+import useRefManager from './useRefManager';
+
+/**
+ * Returns a ref callback that stores the ref in the shared RefManager instance
+ * when the element is mounted, and unregisters it when it is unmounted.
+ *
+ * The callback only changes when the collectionId or itemId does, so React does
+ * not unregister and register the ref again on every render.
+ *
+ * @param {String|Number} collectionId Id of the collection to store the ref in, or
+ *        the single key used to store the ref when it is not part of a collection.
+ * @param {String|Number} itemId (Optional) Item id to store the ref under, when
+ *        the ref is an item in a collection.
+ * @returns {Function} Ref callback to pass to an element's ref attribute
+ *
+ * @example
+ * const ref = useManagedRef('items', index);
+ *
+ * return <div ref={ ref } tabIndex={-1} />;
+ */
+function useManagedRef(collectionId, itemId = NotProvided) {
+  const refManager = useRefManager();
+
+  return useCallback((ref) => {
+    if (itemId === NotProvided) {
+      refManager.set(collectionId, ref);
+    } else {
+      refManager.set(collectionId, itemId, ref);
+    }
+  }, [ refManager, collectionId, itemId ]);
+}
+
+export default useManagedRef;
@@ -0,0 +1,19 @@
+import { useContext } from 'react';
+import RefManagerContext from '../RefManagerContext';
+
+/**
+ * Returns the RefManager instance shared by the nearest RefManagerProvider
+ *
+ * @returns {RefManager} The shared RefManager instance
+ */
+function useRefManager() {
+  const refManager = useContext(RefManagerContext);
+
+  if (!refManager) {
+    throw new Error('useRefManager() must be used inside a <RefManagerProvider>');
+  }
+
+  return refManager;
+}
+
+export default useRefManager;
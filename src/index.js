@@ -1,4 +1,15 @@
 export FocusDirection from './FocusDirection';
+export FocusFailureReason from './FocusFailureReason';
+export RefManagerEvent from './RefManagerEvent';
+export RefManagerContext from './RefManagerContext';
+export RefManagerProvider from './RefManagerProvider';
+export useRefManager from './hooks/useRefManager';
+export useManagedRef from './hooks/useManagedRef';
+export useCurrentFocus from './hooks/useCurrentFocus';
+export createMemoryStorage from './storage/createMemoryStorage';
+export createSessionStorage from './storage/createSessionStorage';
+export DOMAdapter from './adapters/DOMAdapter';
+export ReactDOMAdapter from './adapters/ReactDOMAdapter';
 import RefManager from './RefManager';
 
 export default RefManager;
@@ -0,0 +1,31 @@
+/**
+ * Creates a storage adapter that keeps focus snapshots in memory, so that they
+ * survive route changes but not reloads. Pass the adapter to the RefManager
+ * constructor's storage option.
+ *
+ * @returns {{load: Function, save: Function, remove: Function}} The storage adapter
+ *
+ * @example
+ * const refManager = new RefManager({ name: 'inbox', storage: createMemoryStorage() });
+ */
+function createMemoryStorage() {
+  const snapshots = new Map();
+
+  return {
+    load: (key) => {
+      if (snapshots.has(key)) {
+        return snapshots.get(key);
+      } else {
+        return null;
+      }
+    },
+    save: (key, snapshot) => {
+      snapshots.set(key, snapshot);
+    },
+    remove: (key) => {
+      snapshots.delete(key);
+    }
+  };
+}
+
+export default createMemoryStorage;
@@ -0,0 +1,62 @@
+/**
+ * Returns the browser's sessionStorage, or null when it is not available (when
+ * rendering on the server, or when access to storage is blocked)
+ *
+ * @returns {Storage|null} The browser's sessionStorage
+ */
+function getSessionStorage() {
+  try {
+    return typeof window === 'undefined' ? null : window.sessionStorage;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Creates a storage adapter that keeps focus snapshots in the browser's
+ * sessionStorage as JSON, so that they survive reloads and navigating back in
+ * history. When sessionStorage is not available, nothing is stored. Pass the
+ * adapter to the RefManager constructor's storage option.
+ *
+ * @returns {{load: Function, save: Function, remove: Function}} The storage adapter
+ *
+ * @example
+ * const refManager = new RefManager({ name: 'inbox', storage: createSessionStorage() });
+ */
+function createSessionStorage() {
+  return {
+    load: (key) => {
+      const sessionStorage = getSessionStorage();
+      const value = sessionStorage && sessionStorage.getItem(key);
+
+      try {
+        return value ? JSON.parse(value) : null;
+      } catch (error) {
+        return null;
+      }
+    },
+    save: (key, snapshot) => {
+      const sessionStorage = getSessionStorage();
+
+      try {
+        if (sessionStorage) {
+          sessionStorage.setItem(key, JSON.stringify(snapshot));
+        }
+      } catch (error) {
+
+        /**
+         * Storage is full or blocked: the snapshot is not saved
+         */
+      }
+    },
+    remove: (key) => {
+      const sessionStorage = getSessionStorage();
+
+      if (sessionStorage) {
+        sessionStorage.removeItem(key);
+      }
+    }
+  };
+}
+
+export default createSessionStorage;
@@ -0,0 +1,25 @@
+/**
+ * Calls each of a list of listeners with the same arguments. An exception thrown
+ * by one listener does not stop the others from being called: it is rethrown
+ * asynchronously instead, so it is still reported.
+ *
+ * @param {Array.<Function>} listeners The listeners to call
+ * @param {Array.<*>} args The arguments to call each listener with
+ * @returns {Array.<*>} The values returned by the listeners. The value is null
+ *          for listeners that threw an exception.
+ */
+function callListeners(listeners, args) {
+  return listeners.map((listener) => {
+    try {
+      return listener(...args);
+    } catch (error) {
+      setTimeout(() => {
+        throw error;
+      });
+
+      return null;
+    }
+  });
+}
+
+export default callListeners;
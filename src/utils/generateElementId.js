@@ -0,0 +1,17 @@
+let elementIdCount = 0;
+
+/**
+ * Generates an id attribute value that is unique within the page, for elements
+ * that need to be referenced by other elements (e.g. with aria-activedescendant)
+ *
+ * @param {String|Number} collectionId The collectionId of the element's ref
+ * @param {String|Number} itemId The item id of the element's ref
+ * @returns {String} The generated id
+ */
+function generateElementId(collectionId, itemId) {
+  elementIdCount += 1;
+
+  return `ref-manager-${collectionId}-${itemId}-${elementIdCount}`.replace(/[^A-Za-z0-9_-]/g, '_');
+}
+
+export default generateElementId;
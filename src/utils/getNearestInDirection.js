@@ -0,0 +1,93 @@
+import FocusDirection from '../FocusDirection';
+
+/**
+ * Returns the distance between two ranges on the same axis, or 0 when they overlap
+ *
+ * @param {Number} start Start of the first range
+ * @param {Number} end End of the first range
+ * @param {Number} otherStart Start of the second range
+ * @param {Number} otherEnd End of the second range
+ * @returns {Number} The gap between the ranges
+ */
+function getGap(start, end, otherStart, otherEnd) {
+  return Math.max(0, otherStart - end, start - otherEnd);
+}
+
+/**
+ * Returns the distance from one rectangle to another in a particular direction,
+ * along the axis of that direction (primary) and across it (orthogonal), or
+ * null when the other rectangle is not in that direction.
+ *
+ * @param {ClientRect} from The rectangle to measure from
+ * @param {ClientRect} to The rectangle to measure to
+ * @param {FocusDirection} direction The direction to measure in
+ * @returns {{primary: Number, orthogonal: Number, alignment: Number}|null} The distances
+ */
+function getDistances(from, to, direction) {
+  const fromCenterX = from.left + from.width / 2;
+  const fromCenterY = from.top + from.height / 2;
+  const toCenterX = to.left + to.width / 2;
+  const toCenterY = to.top + to.height / 2;
+
+  switch (direction) {
+    case FocusDirection.UP:
+      return toCenterY < fromCenterY && to.top < from.top ? {
+        primary: Math.max(0, from.top - to.bottom),
+        orthogonal: getGap(from.left, from.right, to.left, to.right),
+        alignment: Math.abs(toCenterX - fromCenterX)
+      } : null;
+    case FocusDirection.DOWN:
+      return toCenterY > fromCenterY && to.bottom > from.bottom ? {
+        primary: Math.max(0, to.top - from.bottom),
+        orthogonal: getGap(from.left, from.right, to.left, to.right),
+        alignment: Math.abs(toCenterX - fromCenterX)
+      } : null;
+    case FocusDirection.LEFT:
+      return toCenterX < fromCenterX && to.left < from.left ? {
+        primary: Math.max(0, from.left - to.right),
+        orthogonal: getGap(from.top, from.bottom, to.top, to.bottom),
+        alignment: Math.abs(toCenterY - fromCenterY)
+      } : null;
+    case FocusDirection.RIGHT:
+      return toCenterX > fromCenterX && to.right > from.right ? {
+        primary: Math.max(0, to.left - from.right),
+        orthogonal: getGap(from.top, from.bottom, to.top, to.bottom),
+        alignment: Math.abs(toCenterY - fromCenterY)
+      } : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Returns the candidate whose bounding rectangle is nearest to a rectangle, in a
+ * particular direction. Candidates that overlap the rectangle's row (or column)
+ * are preferred over those that are closer, but diagonal to it.
+ *
+ * @param {ClientRect} fromRect The rectangle to start from
+ * @param {Array.<{rect: ClientRect}>} candidates The candidates to choose between
+ * @param {FocusDirection} direction The direction to search in
+ * @returns {{rect: ClientRect}|null} The nearest candidate, or null when there are
+ *          no candidates in that direction
+ */
+function getNearestInDirection(fromRect, candidates, direction) {
+  const nearest = candidates.reduce((memo, candidate) => {
+    const distances = getDistances(fromRect, candidate.rect, direction);
+
+    if (!distances) {
+      return memo;
+    }
+
+    const score = distances.primary + distances.orthogonal * 2 + distances.alignment / 100;
+
+    if (!memo || score < memo.score) {
+      return { candidate, score };
+    }
+
+    return memo;
+  }, null);
+
+  return nearest && nearest.candidate;
+}
+
+export default getNearestInDirection;
@@ -0,0 +1,186 @@
+import FocusDirection from '../FocusDirection';
+
+/**
+ * Returns the cells that occupy each row of a grid. Cells that span several
+ * columns or rows occupy every position they cover.
+ *
+ * @param {Object.<String,Object>} cells The positions of the grid's cells, by id
+ * @returns {Array.<Array.<String>>} The ids of the cells at each row and column.
+ *          Positions that no cell occupies are left empty.
+ */
+function getGridRows(cells) {
+  const rows = [];
+
+  Object.keys(cells).forEach((id) => {
+    const { row, col, rowSpan, colSpan } = cells[id];
+
+    for (let rowIndex = row; rowIndex < row + rowSpan; rowIndex++) {
+      rows[rowIndex] = rows[rowIndex] || [];
+
+      for (let colIndex = col; colIndex < col + colSpan; colIndex++) {
+        rows[rowIndex][colIndex] = id;
+      }
+    }
+  });
+
+  return rows;
+}
+
+/**
+ * Returns the cells of a row, in the order they appear in
+ *
+ * @param {Array.<Array.<String>>} rows The grid's rows, as returned by getGridRows()
+ * @param {Number} row The index of the row
+ * @returns {Array.<{id: String, col: Number}>} The ids of the row's cells and the
+ *          first column they occupy in the row
+ */
+function getRowCells(rows, row) {
+  const rowCells = [];
+
+  (rows[row] || []).forEach((id, col) => {
+    if (rowCells.length === 0 || rowCells[rowCells.length - 1].id !== id) {
+      rowCells.push({ id, col });
+    }
+  });
+
+  return rowCells;
+}
+
+/**
+ * Returns the cell of a row that is in a column or, when the row is shorter than
+ * that, the nearest cell before it
+ *
+ * @param {Array.<Array.<String>>} rows The grid's rows, as returned by getGridRows()
+ * @param {Number} row The index of the row
+ * @param {Number} col The index of the column
+ * @returns {String|null} The id of the cell, or null when the row is empty
+ */
+function getCellInColumn(rows, row, col) {
+  const rowIds = rows[row] || [];
+
+  for (let colIndex = Math.min(col, rowIds.length - 1); colIndex >= 0; colIndex--) {
+    if (rowIds[colIndex]) {
+      return rowIds[colIndex];
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Returns the indexes of the rows to search, in order, when moving vertically
+ * from a cell
+ *
+ * @param {Number} rowCount The number of rows in the grid
+ * @param {{row: Number, rowSpan: Number}} cell The position of the cell
+ * @param {Boolean} forwards Whether the search is moving down the grid
+ * @param {Boolean} wrap Whether to wrap around the top and bottom of the grid
+ * @returns {Array.<Number>} The row indexes
+ */
+function getRowsToSearch(rowCount, { row, rowSpan }, forwards, wrap) {
+  const rowsAfter = [];
+  const rowsBefore = [];
+
+  for (let rowIndex = row + rowSpan; rowIndex < rowCount; rowIndex++) {
+    rowsAfter.push(rowIndex);
+  }
+
+  for (let rowIndex = 0; rowIndex < row; rowIndex++) {
+    rowsBefore.push(rowIndex);
+  }
+
+  if (forwards) {
+    return wrap ? rowsAfter.concat(rowsBefore) : rowsAfter;
+  } else {
+    return wrap ? rowsBefore.reverse().concat(rowsAfter.reverse()) : rowsBefore.reverse();
+  }
+}
+
+/**
+ * Returns the cell of a grid that is next in a particular direction. Unlike
+ * getNextIndex(), rows can have different lengths and cells can span several
+ * rows or columns.
+ *
+ * Moving left or right stays within the current row, and wraps around to the
+ * other end of it when options.xWrap is true. Moving up or down keeps to the same
+ * column (even when passing through cells that span several columns, or rows that
+ * are too short to have a cell in that column) and wraps around to the other end
+ * of the column when options.yWrap is true. Cells that are not available are
+ * skipped over.
+ *
+ * @param {Object.<String,{row: Number, col: Number, rowSpan: Number, colSpan: Number}>} cells
+ *        The positions of the grid's cells, by id
+ * @param {{id: String, row: Number, col: Number}|null} cursor The cell that is
+ *        currently focused, and the row and column that the cursor is at within it.
+ *        This is null when no cell of the grid is focused.
+ * @param {Object.<String,*>} options Options hash describing how to move through
+ *        the grid
+ * @param {FocusDirection} options.direction The direction to move in
+ * @param {Boolean} options.xWrap Whether to wrap around the start and end of rows
+ * @param {Boolean} options.yWrap Whether to wrap around the top and bottom of columns
+ * @param {Function} options.isAvailable Function that is passed a cell's id and
+ *        returns whether it can be focused
+ * @returns {{id: String, row: Number, col: Number}|null} The next cell and the
+ *          position of the cursor within it. This is the current cursor when it is
+ *          not possible to move in the direction requested, or null when no cell
+ *          is focused and there are no cells available.
+ */
+function getNextGridCell(cells, cursor, { direction, xWrap, yWrap, isAvailable }) {
+  const rows = getGridRows(cells);
+
+  const toCursor = (row) => (cell) => ({ id: cell.id, row, col: cell.col });
+
+  if (!cursor || direction === FocusDirection.FIRST || direction === FocusDirection.LAST) {
+    const cellsByRow = rows.reduce((memo, rowIds, row) => memo.concat(getRowCells(rows, row).map(toCursor(row))), []);
+
+    /**
+     * Cells that span several rows are only visited in the first of them
+     */
+    const allCells = cellsByRow.filter((cell, index) => cellsByRow.findIndex(({ id }) => id === cell.id) === index);
+
+    const isBackwards = direction === FocusDirection.LAST || direction === FocusDirection.ROW_END;
+
+    return (isBackwards ? allCells.reverse() : allCells).find(({ id }) => isAvailable(id)) || cursor;
+  }
+
+  const cell = cells[cursor.id];
+
+  if (direction === FocusDirection.LEFT || direction === FocusDirection.RIGHT) {
+    const rowCells = getRowCells(rows, cursor.row).map(toCursor(cursor.row));
+
+    const cellsBefore = rowCells.filter(({ col }) => col < cell.col).reverse();
+    const cellsAfter = rowCells.filter(({ col }) => col >= cell.col + cell.colSpan);
+
+    const candidates = function(){
+      if (direction === FocusDirection.RIGHT) {
+        return xWrap ? cellsAfter.concat(cellsBefore.reverse()) : cellsAfter;
+      } else {
+        return xWrap ? cellsBefore.concat(cellsAfter.reverse()) : cellsBefore;
+      }
+    }();
+
+    return candidates.find(({ id }) => isAvailable(id)) || cursor;
+
+  } else if (direction === FocusDirection.UP || direction === FocusDirection.DOWN) {
+    const rowIndexes = getRowsToSearch(rows.length, cell, direction === FocusDirection.DOWN, yWrap);
+
+    for (let index = 0; index < rowIndexes.length; index++) {
+      const id = getCellInColumn(rows, rowIndexes[index], cursor.col);
+
+      if (id && id !== cursor.id && isAvailable(id)) {
+        return { id, row: rowIndexes[index], col: cursor.col };
+      }
+    }
+
+    return cursor;
+
+  } else if (direction === FocusDirection.ROW_START || direction === FocusDirection.ROW_END) {
+    const rowCells = getRowCells(rows, cursor.row).map(toCursor(cursor.row));
+
+    return (direction === FocusDirection.ROW_END ? rowCells.reverse() : rowCells).find(({ id }) => isAvailable(id)) || cursor;
+  }
+
+  return cursor;
+}
+
+export default getNextGridCell;
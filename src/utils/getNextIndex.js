@@ -0,0 +1,71 @@
+import FocusDirection from '../FocusDirection';
+
+/**
+ * Returns the position in a (flattened) list of collection keys that is next
+ * in a particular direction
+ *
+ * @param {Number} index The current position in the list
+ * @param {Object.<String,*>} options Options hash describing the list and how to
+ *        move through it
+ * @param {FocusDirection} options.direction The direction to move in
+ * @param {Number} options.length The number of items in the list
+ * @param {Number} options.collectionWidth The number of items in each row
+ * @param {Boolean} options.yWrap Whether to wrap around the top and bottom of the list
+ * @param {Boolean} options.xWrap Whether to wrap around the start and end of rows
+ * @returns {Number} The next position. This is the current position when it is
+ *          not possible to move in the direction requested.
+ */
+function getNextIndex(index, { direction, length, collectionWidth, yWrap, xWrap }) {
+  if (direction === FocusDirection.LEFT) {
+    const nextIndex = index - 1;
+
+    if (nextIndex >= 0) {
+      return nextIndex;
+    } else {
+      return xWrap ? length - 1 : 0;
+    }
+
+  } else if (direction === FocusDirection.RIGHT) {
+    const nextIndex = index + 1;
+
+    if (nextIndex < length) {
+      return nextIndex;
+    } else {
+      return xWrap ? 0 : length - 1;
+    }
+
+  } else if (direction === FocusDirection.UP) {
+    const nextIndex = index - collectionWidth;
+
+    if (nextIndex >= 0) {
+      return nextIndex;
+    } else {
+      return yWrap ? length - 1 : 0;
+    }
+
+  } else if (direction === FocusDirection.DOWN) {
+    const nextIndex = index + collectionWidth;
+
+    if (nextIndex < length) {
+      return nextIndex;
+    } else {
+      return yWrap ? 0 : length - collectionWidth;
+    }
+
+  } else if (direction === FocusDirection.FIRST) {
+    return 0;
+
+  } else if (direction === FocusDirection.LAST) {
+    return length - 1;
+
+  } else if (direction === FocusDirection.ROW_START) {
+    return index - index % collectionWidth;
+
+  } else if (direction === FocusDirection.ROW_END) {
+    return Math.min(index - index % collectionWidth + collectionWidth - 1, length - 1);
+  }
+
+  return index;
+}
+
+export default getNextIndex;
@@ -0,0 +1,58 @@
+/**
+ * Compares two refs by the position of their elements in the document. Refs that
+ * are not mounted in the DOM are sorted after those that are.
+ *
+ * @param {{ref: ReactClassComponent}} refObject The first ref object to compare
+ * @param {{ref: ReactClassComponent}} otherRefObject The second ref object to compare
+ * @param {Function} getDOMNode Function that returns the element a ref points to
+ * @param {Function} compareDOMNodes Function that compares the positions of two
+ *        elements in the document, like an adapter's compareDocumentPosition()
+ * @returns {Number} A negative number when the first ref comes first, a positive
+ *          number when it comes second, or 0 when their order is unknown
+ */
+function compareDOMPosition(refObject, otherRefObject, getDOMNode, compareDOMNodes) {
+  const DOMRef = getDOMNode(refObject.ref);
+  const otherDOMRef = getDOMNode(otherRefObject.ref);
+
+  if (!DOMRef || !otherDOMRef) {
+    return Number(!DOMRef) - Number(!otherDOMRef);
+  }
+
+  return compareDOMNodes(DOMRef, otherDOMRef);
+}
+
+/**
+ * Returns the ids of the items in a collection of refs, in a particular order
+ *
+ * @param {Object.<String|Number,Object>} refCollection The collection of ref objects
+ * @param {String|Function} order The order to return the ids in:
+ *        - undefined: the order of the collection's keys
+ *        - 'insertion': the order the refs were stored using set()
+ *        - 'dom': the order the refs' elements appear in the document
+ *        - A comparator function that is passed two objects with id and ref
+ *          attributes, and returns a number like the one passed to Array.sort()
+ * @param {Function} getDOMNode Function that returns the element a ref points to,
+ *        used when order is 'dom'
+ * @param {Function} compareDOMNodes Function that compares the positions of two
+ *        elements in the document, used when order is 'dom'
+ * @returns {Array.<String|Number>} The ordered item ids, with the same type as
+ *          they were given to set()
+ */
+function getOrderedIds(refCollection, order, getDOMNode, compareDOMNodes) {
+  const refObjects = Object.keys(refCollection).map((itemId) => refCollection[itemId]);
+
+  if (order === 'insertion') {
+    refObjects.sort((refObject, otherRefObject) => refObject.index - otherRefObject.index);
+  } else if (order === 'dom') {
+    refObjects.sort((refObject, otherRefObject) => compareDOMPosition(refObject, otherRefObject, getDOMNode, compareDOMNodes));
+  } else if (typeof order === 'function') {
+    refObjects.sort((refObject, otherRefObject) => order(
+      { id: refObject.key, ref: refObject.ref },
+      { id: otherRefObject.key, ref: otherRefObject.ref }
+    ));
+  }
+
+  return refObjects.map(({ key }) => key);
+}
+
+export default getOrderedIds;
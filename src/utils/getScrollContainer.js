@@ -0,0 +1,30 @@
+const ScrollableOverflow = /(auto|scroll|overlay)/;
+
+/**
+ * Returns the nearest ancestor of an element that can be scrolled
+ *
+ * @param {Element} element The element to find the scroll container of
+ * @returns {Element|null} The nearest scrollable ancestor, or null when the
+ *          element is only scrolled by the document
+ */
+function getScrollContainer(element) {
+  const view = element.ownerDocument.defaultView;
+  let ancestor = element.parentElement;
+
+  while (ancestor && ancestor !== element.ownerDocument.body) {
+    const { overflowY, overflowX } = view.getComputedStyle(ancestor);
+
+    const canScrollY = ScrollableOverflow.test(overflowY) && ancestor.scrollHeight > ancestor.clientHeight;
+    const canScrollX = ScrollableOverflow.test(overflowX) && ancestor.scrollWidth > ancestor.clientWidth;
+
+    if (canScrollY || canScrollX) {
+      return ancestor;
+    }
+
+    ancestor = ancestor.parentElement;
+  }
+
+  return null;
+}
+
+export default getScrollContainer;
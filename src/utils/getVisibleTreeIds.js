@@ -0,0 +1,47 @@
+const ROOT = {};
+
+/**
+ * Returns the ids of the visible nodes of a tree - those whose ancestors are all
+ * expanded - in the order they are read from top to bottom (depth first).
+ *
+ * @param {Array.<String|Number>} orderedIds The ids of the tree's nodes, in the
+ *        order that siblings should appear in
+ * @param {Object.<String,Function>} options Options hash
+ * @param {Function} options.getParentId Function that is passed a node's id and
+ *        returns the id of its parent, or null for nodes at the top level
+ * @param {Function} options.isExpanded Function that is passed a node's id and
+ *        returns whether its children are visible
+ * @returns {Array.<String|Number>} The ids of the visible nodes
+ */
+function getVisibleTreeIds(orderedIds, { getParentId, isExpanded }) {
+  const childIds = new Map();
+
+  orderedIds.forEach((id) => {
+    const parentId = getParentId(id);
+    const parentKey = parentId === null || typeof parentId === 'undefined' ? ROOT : String(parentId);
+
+    if (!childIds.has(parentKey)) {
+      childIds.set(parentKey, []);
+    }
+
+    childIds.get(parentKey).push(id);
+  });
+
+  const visibleIds = [];
+
+  const visit = (parentKey) => {
+    (childIds.get(parentKey) || []).forEach((id) => {
+      visibleIds.push(id);
+
+      if (isExpanded(id)) {
+        visit(String(id));
+      }
+    });
+  };
+
+  visit(ROOT);
+
+  return visibleIds;
+}
+
+export default getVisibleTreeIds;
@@ -0,0 +1,33 @@
+import FocusDirection from '../FocusDirection';
+
+/**
+ * Returns whether a move through a (flattened) list of collection keys, without
+ * wrapping, failed to go anywhere in the direction requested. Moving up or down
+ * from the first or last row of the list stops at the start or end of the list,
+ * without leaving the current row, so this also counts as being at the edge.
+ *
+ * @param {Number} index The position in the list that the move started at
+ * @param {Number} nextIndex The position in the list that the move ended at, as
+ *        returned by getNextIndex()
+ * @param {Object.<String,*>} options Options hash describing the list
+ * @param {FocusDirection} options.direction The direction of the move
+ * @param {Number} options.collectionWidth The number of items in each row
+ * @returns {Boolean} True when the move did not go in the direction requested
+ */
+function isAtListEdge(index, nextIndex, { direction, collectionWidth }) {
+  if (nextIndex === index) {
+    return true;
+  }
+
+  const rowChange = Math.floor(nextIndex / collectionWidth) - Math.floor(index / collectionWidth);
+
+  if (direction === FocusDirection.UP) {
+    return rowChange >= 0;
+  } else if (direction === FocusDirection.DOWN) {
+    return rowChange <= 0;
+  }
+
+  return false;
+}
+
+export default isAtListEdge;
@@ -0,0 +1,25 @@
+/**
+ * Default predicate used to decide whether a ref can be focused when iterating
+ * over a collection. Refs are skipped when their element is disabled, marked as
+ * aria-disabled="true", hidden or has no layout box (e.g. display: none).
+ *
+ * @param {Element|null} DOMRef The element the ref points to
+ * @returns {boolean} Whether the ref can be focused
+ */
+function isFocusable(DOMRef) {
+  if (!DOMRef) {
+    return false;
+  }
+
+  if (DOMRef.disabled || DOMRef.hidden) {
+    return false;
+  }
+
+  if (DOMRef.getAttribute && DOMRef.getAttribute('aria-disabled') === 'true') {
+    return false;
+  }
+
+  return !DOMRef.getClientRects || DOMRef.getClientRects().length > 0;
+}
+
+export default isFocusable;
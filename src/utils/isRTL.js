@@ -0,0 +1,21 @@
+/**
+ * Returns whether an element's content is laid out right-to-left, either because
+ * it (or one of its ancestors) has a dir="rtl" attribute, or because of its
+ * computed style.
+ *
+ * @param {Element} element The element to test
+ * @returns {boolean} Whether the element is right-to-left
+ */
+function isRTL(element) {
+  const elementWithDir = element.closest && element.closest('[dir]');
+
+  if (elementWithDir) {
+    return elementWithDir.getAttribute('dir').toLowerCase() === 'rtl';
+  }
+
+  const view = element.ownerDocument && element.ownerDocument.defaultView;
+
+  return !!view && view.getComputedStyle(element).direction === 'rtl';
+}
+
+export default isRTL;
@@ -0,0 +1,19 @@
+/**
+ * Returns what a ref points to. Ref objects created with React.createRef() or
+ * useRef() are resolved to their current value, and any other ref is returned as
+ * it is.
+ *
+ * @param {ReactClassComponent|{current: ReactClassComponent}} ref The ref to resolve
+ * @returns {ReactClassComponent|null} The element or component the ref points to
+ */
+function resolveRef(ref) {
+  const keys = ref && typeof ref === 'object' ? Object.keys(ref) : [];
+
+  if (keys.length === 1 && keys[0] === 'current') {
+    return ref.current;
+  }
+
+  return ref;
+}
+
+export default resolveRef;
@@ -0,0 +1,76 @@
+/**
+ * Returns the area of a container that its contents are visible in. For the
+ * document's scrolling element, this is the viewport.
+ *
+ * @param {Element} container The scrollable element
+ * @returns {{top: Number, bottom: Number, left: Number, right: Number}} The
+ *          visible area, relative to the viewport
+ */
+function getVisibleRect(container) {
+  const { scrollingElement, documentElement, defaultView } = container.ownerDocument;
+
+  if (container === scrollingElement || container === documentElement) {
+    return { top: 0, left: 0, bottom: defaultView.innerHeight, right: defaultView.innerWidth };
+  }
+
+  return container.getBoundingClientRect();
+}
+
+/**
+ * Scrolls a container so that an element that is inside of it is completely
+ * visible. By default, the container is scrolled by the smallest amount needed.
+ *
+ * @param {Element} element The element to scroll into view
+ * @param {Element} container The scrollable ancestor of the element to scroll
+ * @param {Object.<String,*>} options Options hash
+ * @param {{top: Number, bottom: Number}} options.offset The number of pixels at the
+ *        top and bottom of the container that are covered (by sticky headers or
+ *        footers, for example) and that the element should not be scrolled under
+ * @param {Boolean} options.ifNeeded Whether to only scroll when the element is
+ *        not completely visible (the default). When false, the element is aligned
+ *        to the top of the container.
+ * @param {String} options.behavior 'auto' (the default) or 'smooth'
+ * @returns {boolean} Whether the container needed to be scrolled
+ */
+function scrollIntoContainer(element, container, { offset = {}, ifNeeded = true, behavior = 'auto' } = {}) {
+  const elementRect = element.getBoundingClientRect();
+  const containerRect = getVisibleRect(container);
+
+  const visibleTop = containerRect.top + (offset.top || 0);
+  const visibleBottom = containerRect.bottom - (offset.bottom || 0);
+
+  const top = function(){
+    if (!ifNeeded || elementRect.top < visibleTop) {
+      return elementRect.top - visibleTop;
+    } else if (elementRect.bottom > visibleBottom) {
+      return Math.min(elementRect.bottom - visibleBottom, elementRect.top - visibleTop);
+    } else {
+      return 0;
+    }
+  }();
+
+  const left = function(){
+    if (elementRect.left < containerRect.left) {
+      return elementRect.left - containerRect.left;
+    } else if (elementRect.right > containerRect.right) {
+      return Math.min(elementRect.right - containerRect.right, elementRect.left - containerRect.left);
+    } else {
+      return 0;
+    }
+  }();
+
+  if (top === 0 && left === 0) {
+    return false;
+  }
+
+  if (container.scrollTo) {
+    container.scrollTo({ top: container.scrollTop + top, left: container.scrollLeft + left, behavior });
+  } else {
+    container.scrollTop += top;
+    container.scrollLeft += left;
+  }
+
+  return true;
+}
+
+export default scrollIntoContainer;
@@ -0,0 +1,49 @@
+/**
+ * The number of animation frames an element must stay in the same position for,
+ * before scrolling is considered to have settled
+ */
+const StableFrameCount = 3;
+
+/**
+ * The number of animation frames to wait for before giving up on scrolling
+ * settling (when the page keeps moving for other reasons)
+ */
+const MaxFrameCount = 120;
+
+/**
+ * Waits for an element to stop moving, for example at the end of a smooth scroll
+ *
+ * @param {Element} element The element that is being scrolled to
+ * @param {{top: Number, left: Number}} startRect The position of the element
+ *        (relative to the viewport) before scrolling started
+ * @param {Object.<String,Function>} adapter The adapter used to measure the element
+ *        and to wait for animation frames
+ * @returns {Promise.<Boolean>} Promise that resolves once the element has stopped
+ *          moving, with whether it has moved from its starting position
+ */
+function waitForScrollEnd(element, startRect, adapter) {
+  return new Promise((resolve) => {
+    let previousRect = startRect;
+    let stableFrames = 0;
+    let frames = 0;
+
+    const checkPosition = () => {
+      const rect = adapter.getRect(element);
+      const isStable = rect.top === previousRect.top && rect.left === previousRect.left;
+
+      stableFrames = isStable ? stableFrames + 1 : 0;
+      frames += 1;
+      previousRect = rect;
+
+      if (stableFrames >= StableFrameCount || frames >= MaxFrameCount) {
+        resolve(rect.top !== startRect.top || rect.left !== startRect.left);
+      } else {
+        adapter.requestFrame(checkPosition);
+      }
+    };
+
+    adapter.requestFrame(checkPosition);
+  });
+}
+
+export default waitForScrollEnd;